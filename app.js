@@ -4,14 +4,61 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- STATE MANAGEMENT --- //
 
+    // Default key bindings for each keyboard action, as combos produced by keyComboFromEvent().
+    // Bluetooth page-turners and foot pedals usually send PageDown/PageUp or the arrow keys.
+    const DEFAULT_KEY_BINDINGS = {
+        incrementSelected: ['Space', 'PageDown', 'ArrowRight'],
+        decrementSelected: ['PageUp', 'ArrowLeft'],
+        incrementMain: ['ArrowUp'],
+        decrementMain: ['ArrowDown'],
+        cycleCounter: ['C'],
+        toggleTimer: ['T'],
+        undo: ['Ctrl+Z'],
+        redo: ['Ctrl+Shift+Z', 'Ctrl+Y'],
+    };
+
+    const DEFAULT_SETTINGS = {
+        showTimer: true,
+        theme: 'system', // 'light', 'dark' or 'system' to follow the device
+        keyBindings: DEFAULT_KEY_BINDINGS,
+        idlePauseMinutes: 15, // Pause the timer after this long without counter activity, 0 for never
+        pauseWhenHidden: true, // Pause the timer while the app is in the background or the screen is off
+        alertSound: true, // Milestone alerts play a sound...
+        alertVibrate: true, // ...vibrate the device...
+        alertNotify: false, // ...and send a system notification, once the browser allows it
+        trashDays: 30, // Deleted projects and sub-counters can be restored for this many days
+    };
+
+    // The values Settings offers for settings chosen from a list.
+    const SETTING_CHOICES = {
+        theme: ['system', 'light', 'dark'],
+        idlePauseMinutes: [0, 5, 10, 15, 30, 60],
+        trashDays: [1, 7, 30, 90],
+    };
+
+    // Owns the active project and the counter, timer and ETA logic (see engine.js).
+    // The page subscribes to its changes to save and re-render.
+    const engine = createProjectEngine(null);
+
     // Holds the entire application state.
     let appState = {
-        activeProject: null,
-        savedProjects: [],
-        settings: {
-            showTimer: true,
+        get activeProject() { // The project being worked on, held by the engine
+            return engine.project;
+        },
+        templates: [], // Templates saved by the user (built-in templates live in BUILT_IN_TEMPLATES)
+        savedProjects: [], // Projects matching projectQuery, in the chosen sort order
+        trashedProjects: [], // Deleted projects awaiting restore or purge: { id, deletedAt, project }, newest first
+        projectQuery: { // Search, filter and sort options for the projects list
+            text: '',
+            tag: null, // Only list projects with this tag
+            showClosed: false, // Include finished and frogged projects
+            sortBy: 'lastModified', // 'lastModified', 'name', 'progress' or 'time'
         },
-        activeModal: null, // null, 'settings', 'projects', 'confirm', 'setTarget'
+        settings: structuredClone(DEFAULT_SETTINGS),
+        selectedCounterId: 'main', // Counter targeted by the "selected counter" key bindings
+        showSelection: false, // Highlight the selected counter once a key binding has been used
+        bindingCapture: null, // Action waiting for a key press in the Settings modal, if any
+        activeModal: null, // null, 'settings', 'projects', 'confirm', 'setTarget', 'instructions', 'importBackup', 'stats', 'share', 'shareImport', 'newProject', 'saveTemplate', 'sizing', 'planner', 'counterType', 'addMilestone', 'milestone', 'viewer', 'history'
         confirmationContext: { // Context for the confirmation modal
             action: null,
             data: null,
@@ -25,16 +72,108 @@ document.addEventListener('DOMContentLoaded', () => {
             onSet: null,
             message: '',
         },
+        importContext: { // Context for the import backup preview modal
+            backup: null,
+            projects: [], // Valid projects from the file: { project, exists }
+            invalid: [], // Rejected entries: { name, errors }
+        },
+        shareImportContext: { // Context for the shared project preview modal
+            project: null,
+        },
+        plannerContext: { // Context for the increase/decrease planner modal
+            counterId: null,
+        },
+        counterTypeContext: { // Context for the counter type modal
+            counterId: null,
+        },
+        milestoneContext: { // Context for the add milestone modal
+            counterId: null,
+        },
+        statsContext: { // Context for the statistics modal
+            overallHTML: '', // Totals for all projects, worked out when the modal opened
+        },
+        historyContext: { // Context for the project history modal
+            snapshots: [], // The active project's snapshots, newest first
+            previewId: null, // Snapshot whose contents are shown, if any
+        },
+        milestoneAlerts: [], // Milestones shown in the alert modal: { counterName, title, message }
+        autoPause: null, // Set while the timer is paused automatically: { reason: 'idle' | 'hidden', pausedAt, heldMs }
+        attachments: [], // Pattern files of the active project, including their blobs
+        viewerContext: { // Context for the attachment viewer modal
+            attachmentId: null,
+        },
         isDirty: false, // Tracks if the active project has unsaved changes
+        undoStack: [], // Snapshots of the active project taken before each change
+        redoStack: [], // Snapshots taken before each undo, so it can be re-applied
         toast: { // For showing transient messages
             message: null,
             type: 'info', // 'info', 'success', 'error'
             visible: false,
+            action: null, // Optional { label, onClick } button shown inside the toast
         }
     };
 
+    // Maximum number of undo steps kept for the active project.
+    const UNDO_LIMIT = 100;
+    // Consecutive edits to the same field within this window are merged into one undo step.
+    const UNDO_COALESCE_MS = 1500;
+
+    // Tracks the device's colour scheme for the "system" theme.
+    const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    // Browser UI colours matching the page background of each theme.
+    const THEME_COLORS = { light: '#f3f4f6', dark: '#111827' };
+
     // Holds the interval ID for the project timer.
     let projectTimerInterval;
+    // Holds the timeout ID that hides the current toast.
+    let toastTimeout;
+    // Holds the timeout ID of the auto-save waiting for changes to pause.
+    let pendingSaveTimeout = null;
+    // Auto-saves are written once no change has been made for this long.
+    const SAVE_DELAY_MS = 500;
+
+    // Statuses hidden from the projects list unless "Show finished & frogged" is ticked.
+    const CLOSED_STATUSES = ['finished', 'frogged'];
+    // Badge text and colours for each project status.
+    const STATUS_STYLES = {
+        active: { label: 'Active', classes: 'bg-violet-100 text-violet-700 dark:bg-violet-900/50 dark:text-violet-300' },
+        paused: { label: 'Paused', classes: 'bg-amber-100 text-amber-700 dark:bg-amber-900/50 dark:text-amber-300' },
+        finished: { label: 'Finished', classes: 'bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300' },
+        frogged: { label: 'Frogged', classes: 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-300' },
+    };
+    // Carries project changes between tabs and windows of the app.
+    const syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel('crochet-counter-sync') : null;
+    // The last copy of each project this tab saved or loaded, used as the common base when merging.
+    const syncBases = new Map();
+    // Saves and updates from other tabs run one at a time through this chain, so each save
+    // starts from the revision the previous one wrote.
+    let syncQueue = Promise.resolve();
+    // A save that keeps losing races to other tabs gives up after this many merges.
+    const SYNC_MAX_ATTEMPTS = 5;
+    // Live state of the open attachment viewer: object URL, zoom and pan, and any drag in progress.
+    let viewer = null;
+    // Highlighter bar settings for a newly attached file. Positions are fractions of the page height.
+    const DEFAULT_HIGHLIGHTER = { visible: true, top: 0.1, height: 0.05, follow: false, row: 0, direction: 'down' };
+    // How long to wait after the last keystroke in the project search before querying.
+    const PROJECT_SEARCH_DELAY_MS = 200;
+    // Holds the timeout ID for the pending project search.
+    let projectSearchTimeout;
+    // When a counter was last tapped, or the timer last started. A running timer pauses itself
+    // after Settings' idle period without activity.
+    let lastActivityAt = Date.now();
+    // Away time shorter than this is kept without asking when an automatically paused timer resumes.
+    const IDLE_KEEP_SILENTLY_MS = 60 * 1000;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // Auto-saves keep a snapshot of the copy they overwrite at most this often.
+    const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+    // Snapshots from the last day are all kept, then the newest of each day up to this age.
+    const SNAPSHOT_KEEP_DAYS = 30;
+    // The most snapshots kept per project.
+    const SNAPSHOT_LIMIT = 100;
+    // When each project last had a snapshot taken in this tab.
+    const lastSnapshotTimes = new Map();
+    // Plays the milestone alert sound. Created on first use, after a tap allows audio.
+    let alertAudioContext = null;
 
     // --- DOM ELEMENT SELECTORS --- //
 
@@ -46,10 +185,15 @@ document.addEventListener('DOMContentLoaded', () => {
         projectTimer: document.querySelector('[data-binding="project-timer"]'),
         timerDisplay: document.querySelector('[data-binding="timer-display"]'),
         timerPauseBtn: document.querySelector('[data-action="toggle-timer-pause"]'),
+        instructionsContainer: document.getElementById('instructions-container'),
+        materialsContainer: document.getElementById('materials-container'),
         mainCounterContainer: document.getElementById('main-counter-container'),
         subCountersContainer: document.getElementById('sub-counters-container'),
+        deletedCounters: document.getElementById('deleted-counters'),
         projectNotes: document.querySelector('[data-binding="projectNotes"]'),
         projectPatternUrl: document.querySelector('[data-binding="projectPatternUrl"]'),
+        projectStatus: document.querySelector('[data-binding="projectStatus"]'),
+        projectTags: document.querySelector('[data-binding="projectTags"]'),
         saveProjectBtn: document.querySelector('[data-action="save-project"]'),
         modalContainer: document.getElementById('modal-container'),
         modalOverlay: document.querySelector('[data-modal-overlay]'),
@@ -58,14 +202,93 @@ document.addEventListener('DOMContentLoaded', () => {
             projects: document.querySelector('[data-modal="projects"]'),
             confirm: document.querySelector('[data-modal="confirm"]'),
             setTarget: document.querySelector('[data-modal="setTarget"]'),
+            instructions: document.querySelector('[data-modal="instructions"]'),
+            importBackup: document.querySelector('[data-modal="importBackup"]'),
+            stats: document.querySelector('[data-modal="stats"]'),
+            share: document.querySelector('[data-modal="share"]'),
+            shareImport: document.querySelector('[data-modal="shareImport"]'),
+            newProject: document.querySelector('[data-modal="newProject"]'),
+            saveTemplate: document.querySelector('[data-modal="saveTemplate"]'),
+            sizing: document.querySelector('[data-modal="sizing"]'),
+            planner: document.querySelector('[data-modal="planner"]'),
+            counterType: document.querySelector('[data-modal="counterType"]'),
+            addMilestone: document.querySelector('[data-modal="addMilestone"]'),
+            milestone: document.querySelector('[data-modal="milestone"]'),
+            viewer: document.querySelector('[data-modal="viewer"]'),
+            history: document.querySelector('[data-modal="history"]'),
         },
+        historyList: document.getElementById('history-list'),
         projectsList: document.getElementById('projects-list'),
+        projectSearch: document.getElementById('project-search'),
+        projectSort: document.getElementById('project-sort'),
+        showClosedToggle: document.getElementById('show-closed-toggle'),
+        trashSection: document.getElementById('trash-section'),
+        trashList: document.getElementById('trash-list'),
+        templateList: document.getElementById('template-list'),
+        templateNameInput: document.getElementById('template-name-input'),
+        sizingInputs: {
+            gaugeStitches: document.getElementById('sizing-gauge-stitches'),
+            gaugeRows: document.getElementById('sizing-gauge-rows'),
+            width: document.getElementById('sizing-width'),
+            length: document.getElementById('sizing-length'),
+            multiple: document.getElementById('sizing-multiple'),
+            offset: document.getElementById('sizing-offset'),
+        },
+        sizingCounterSelect: document.getElementById('sizing-counter'),
+        sizingResult: document.getElementById('sizing-result'),
+        plannerFromInput: document.getElementById('planner-from'),
+        plannerToInput: document.getElementById('planner-to'),
+        plannerStitchInput: document.getElementById('planner-stitch'),
+        plannerPreview: document.getElementById('planner-preview'),
+        milestoneKindSelect: document.getElementById('milestone-kind'),
+        milestoneValueInput: document.getElementById('milestone-value'),
+        milestoneMessageInput: document.getElementById('milestone-message'),
+        milestoneAlertList: document.getElementById('milestone-alert-list'),
+        counterTypeInputs: {
+            step: document.getElementById('counter-type-step'),
+            mode: document.getElementById('counter-type-mode'),
+            start: document.getElementById('counter-type-start'),
+            min: document.getElementById('counter-type-min'),
+            max: document.getElementById('counter-type-max'),
+            wrap: document.getElementById('counter-type-wrap'),
+        },
+        attachmentsContainer: document.getElementById('attachments-container'),
+        attachmentFileInput: document.getElementById('attachment-file-input'),
+        viewerTitle: document.querySelector('[data-binding="viewer-title"]'),
+        viewerStage: document.getElementById('viewer-stage'),
+        viewerContent: document.getElementById('viewer-content'),
+        viewerHighlighter: document.getElementById('viewer-highlighter'),
+        viewerRow: document.querySelector('[data-binding="viewer-row"]'),
+        highlighterToggle: document.getElementById('highlighter-toggle'),
+        highlighterFollowToggle: document.getElementById('highlighter-follow-toggle'),
+        highlighterDirection: document.getElementById('highlighter-direction'),
         confirmTitle: document.querySelector('[data-binding="confirm-title"]'),
         confirmMessage: document.querySelector('[data-binding="confirm-message"]'),
         setTargetMessage: document.querySelector('[data-binding="set-target-message"]'),
         setTargetInput: document.getElementById('set-target-input'),
+        instructionsInput: document.getElementById('instructions-input'),
         showTimerToggle: document.querySelector('[data-setting="showTimer"]'),
+        themeSelect: document.querySelector('[data-setting="theme"]'),
+        idlePauseSelect: document.querySelector('[data-setting="idlePauseMinutes"]'),
+        hiddenPauseToggle: document.querySelector('[data-setting="pauseWhenHidden"]'),
+        trashDaysSelect: document.querySelector('[data-setting="trashDays"]'),
+        alertSoundToggle: document.querySelector('[data-setting="alertSound"]'),
+        alertVibrateToggle: document.querySelector('[data-setting="alertVibrate"]'),
+        alertNotifyToggle: document.querySelector('[data-setting="alertNotify"]'),
+        statsContent: document.getElementById('stats-content'),
+        shareProgressToggle: document.getElementById('share-progress-toggle'),
+        shareQR: document.getElementById('share-qr'),
+        shareLinkInput: document.getElementById('share-link'),
+        nativeShareBtn: document.querySelector('[data-action="native-share"]'),
+        shareImportPreview: document.getElementById('share-import-preview'),
+        keyBindingsList: document.getElementById('key-bindings-list'),
+        importFileInput: document.getElementById('import-file-input'),
+        importSummary: document.querySelector('[data-binding="import-summary"]'),
+        importList: document.getElementById('import-list'),
+        importSettingsToggle: document.getElementById('import-settings-toggle'),
         toastContainer: document.getElementById('toast-container'),
+        undoBtn: document.querySelector('[data-action="undo"]'),
+        redoBtn: document.querySelector('[data-action="redo"]'),
     };
 
     // --- INITIALIZATION --- //
@@ -78,12 +301,13 @@ document.addEventListener('DOMContentLoaded', () => {
     startProjectTimer();
     registerServiceWorker();
     setupServiceWorkerUpdateListener();
-    applyTheme(); // Apply dark theme on startup
+    applyTheme();
     }
 
-    // Fetches saved projects and loads the last active project, or creates a new default project.
+    // Purges expired trash and loads the last active project, or creates a new default project.
+    // The projects list is read when it is opened.
     async function loadInitialProject() {
-        await fetchSavedProjects();
+        await purgeExpiredTrash();
         
         // Try to get the last active project ID from localStorage
         const lastProjectId = localStorage.getItem('lastProjectId');
@@ -94,7 +318,7 @@ document.addEventListener('DOMContentLoaded', () => {
             setActiveProject(createDefaultProject());
         } else if (lastProjectId) {
             // Try to find the saved project with matching ID
-            const lastProject = appState.savedProjects.find(p => p.id === lastProjectId);
+            const lastProject = await getProject(lastProjectId);
             if (lastProject) {
                 setActiveProject(lastProject);
             } else {
@@ -106,34 +330,35 @@ document.addEventListener('DOMContentLoaded', () => {
             setActiveProject(createDefaultProject());
         }
         render();
+        checkShareLink();
     }
 
     // --- PROJECT & STATE CORE LOGIC --- //
 
-    // Creates a blank project object.
-    function createDefaultProject() {
-        return {
-            id: null, // No ID means it's not saved
-            name: 'New Project',
-            lastModified: Date.now(),
-            timer: { totalElapsedMs: 0, isPaused: false, lastTick: Date.now() },
-            mainCounter: { id: 'main', name: 'Row', value: 0, target: null },
-            subCounters: [],
-            incrementHistory: [],
-            notes: '',
-            patternUrl: '',
-        };
-    }
-    
     // Sets the provided project as the active one in the application state.
+    // Any auto-save still waiting for the previous project is written first.
     function setActiveProject(project) {
-        appState.activeProject = project;
+        flushPendingSave();
+        engine.load(project);
         appState.isDirty = false;
-        if (project.timer && !project.timer.isPaused) {
-            project.timer.lastTick = Date.now();
+        appState.undoStack = [];
+        appState.redoStack = [];
+        appState.selectedCounterId = 'main';
+        appState.autoPause = null;
+        lastActivityAt = Date.now();
+        if (project.id) {
+            syncBases.set(project.id, structuredClone(project));
         }
-        
-        // Store the last project information
+        purgeDeletedCounters();
+        rememberActiveProject();
+        loadAttachments();
+    }
+
+    // Stores which project to reopen on the next launch. Every tab writes this when it
+    // becomes active, so the project last used in any tab is the one that reopens.
+    function rememberActiveProject() {
+        const project = appState.activeProject;
+        if (!project) return;
         if (project.id) {
             localStorage.setItem('lastProjectId', project.id);
             localStorage.setItem('lastProjectUnsaved', 'false');
@@ -152,11 +377,18 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // A wrapper function to apply a modification, mark the project as dirty,
     // auto-save if possible, and then re-render the UI.
-    function updateAndSave(modificationFn) {
+    // The label describes the change in the Undo/Redo button tooltips. A null label leaves
+    // the change out of undo history, for things the app does on its own.
+    function updateAndSave(modificationFn, label = 'Change') {
         if (!appState.activeProject) return;
+        if (label !== null) recordUndoStep(label);
         modificationFn();
         appState.activeProject.lastModified = Date.now();
+        commitProjectChange();
+    }
 
+    // Saves a change to the active project, or marks it unsaved if it has never been saved.
+    function saveProjectChange() {
         // Only mark as dirty if the project isn't saved yet
         if (!appState.activeProject.id) {
             markDirty();
@@ -164,28 +396,43 @@ document.addEventListener('DOMContentLoaded', () => {
             // For saved projects, auto-save silently without changing button state
             saveActiveProject(true);
         }
+    }
+
+    // Saves a change to the active project, or marks it unsaved, and re-renders the UI.
+    function commitProjectChange() {
+        saveProjectChange();
         render();
     }
 
+    // Engine actions that only move counter values, so only those counters need redrawing.
+    const COUNTER_STEP_ACTIONS = ['increment', 'decrement', 'reset'];
+
+    // Every change the engine makes is saved and shown, and any milestones it reached announced.
+    function handleEngineChange(event) {
+        if (COUNTER_STEP_ACTIONS.includes(event.action)) {
+            saveProjectChange();
+            renderCounterChange(event.counterId);
+        } else {
+            commitProjectChange();
+        }
+        if (event.milestones) announceMilestones(event.milestones);
+    }
+
     // Updates a property on a counter or the project itself without a full re-render.
     // Used for input fields to prevent losing focus.
     function updateProjectProperty(prop, value) {
-        if (!appState.activeProject) return;
+        if (!appState.activeProject || appState.activeProject[prop] === value) return;
+        recordUndoStep(`Edit ${PROPERTY_LABELS[prop] || prop}`, `project:${prop}`);
         appState.activeProject[prop] = value;
         appState.activeProject.lastModified = Date.now();
-        markDirty();
-        
-        if (appState.activeProject.id) {
-            saveActiveProject(true);
-        } else {
-            renderSaveButton();
-        }
+        saveProjectChange();
     }
 
     function updateCounterProperty(counterId, prop, value) {
         if (!appState.activeProject) return;
-        const counter = findCounter(counterId);
-        if (counter) {
+        const counter = engine.findCounter(counterId);
+        if (counter && counter[prop] !== value) {
+            recordUndoStep(`Edit ${PROPERTY_LABELS[prop] || prop}`, `${counterId}:${prop}`);
             counter[prop] = value;
             appState.activeProject.lastModified = Date.now();
             
@@ -197,21 +444,139 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             } else {
                 // For other properties (like target), auto-save if the project is saved
-                if (appState.activeProject.id) {
-                    saveActiveProject(true);
-                } else {
-                    markDirty();
-                    renderSaveButton();
-                }
+                saveProjectChange();
                 render();
             }
         }
     }
 
+    // --- UNDO & REDO --- //
+
+    // Human-readable names for properties edited through input fields.
+    const PROPERTY_LABELS = {
+        name: 'name',
+        notes: 'notes',
+        patternUrl: 'pattern link',
+        status: 'status',
+        tags: 'tags',
+        brand: 'yarn brand',
+        colourway: 'colourway',
+        weight: 'yarn weight',
+        fibre: 'fibre',
+        yardage: 'yardage',
+        skeins: 'skeins owned',
+        dyeLot: 'dye lot',
+        kind: 'hook or needles',
+        size: 'size',
+        stitches: 'gauge stitches',
+        rows: 'gauge rows',
+        target: 'target',
+        parentId: 'counter link',
+        instructions: 'instructions',
+        materials: 'materials',
+        plan: 'shaping plan',
+        milestones: 'milestones',
+        step: 'step',
+        mode: 'counting direction',
+        start: 'countdown start',
+        min: 'minimum',
+        max: 'maximum',
+        wrap: 'wrap-around',
+    };
+
+    // Takes a snapshot of the active project before a change so it can be undone.
+    // Changes sharing a coalesce key in quick succession (e.g. typing) become a single step.
+    function recordUndoStep(label, coalesceKey = null) {
+        const now = Date.now();
+        const last = appState.undoStack[appState.undoStack.length - 1];
+
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.timestamp < UNDO_COALESCE_MS) {
+            last.timestamp = now;
+        } else {
+            appState.undoStack.push({
+                label,
+                coalesceKey,
+                timestamp: now,
+                snapshot: structuredClone(appState.activeProject),
+            });
+            if (appState.undoStack.length > UNDO_LIMIT) {
+                appState.undoStack.shift();
+            }
+        }
+
+        appState.redoStack = [];
+        renderUndoButtons();
+    }
+
+    // Reverts the active project to the state before the most recent change.
+    function undo() {
+        const entry = appState.undoStack.pop();
+        if (!entry) return;
+        appState.redoStack.push({ ...entry, coalesceKey: null, snapshot: structuredClone(appState.activeProject) });
+        restoreSnapshot(entry.snapshot);
+        showToast(`Undone: ${entry.label}`, 'info');
+    }
+
+    // Re-applies the most recently undone change.
+    function redo() {
+        const entry = appState.redoStack.pop();
+        if (!entry) return;
+        appState.undoStack.push({ ...entry, snapshot: structuredClone(appState.activeProject) });
+        restoreSnapshot(entry.snapshot);
+        showToast(`Redone: ${entry.label}`, 'info');
+    }
+
+    // Replaces the active project with a snapshot, then saves and re-renders.
+    // Time spent working is real, so the timer's elapsed total is never rolled back.
+    function restoreSnapshot(snapshot) {
+        const current = appState.activeProject;
+        const restored = structuredClone(snapshot);
+
+        // Keep the current ID so a project saved after the snapshot stays saved.
+        restored.id = current.id;
+        restored.timer = {
+            ...restored.timer,
+            totalElapsedMs: current.timer.totalElapsedMs,
+            lastTick: Date.now(),
+        };
+        restored.sessions = current.sessions;
+        restored.lastModified = Date.now();
+        engine.replace(restored);
+
+        if (restored.id) {
+            saveActiveProject(true);
+        } else {
+            markDirty();
+        }
+        render();
+    }
+
     // --- DATABASE INTERACTIONS --- //
 
-    // Saves the currently active project to IndexedDB.
-    async function saveActiveProject(isSilent = false) {
+    // Saves the currently active project to IndexedDB. Silent saves are auto-saves of a saved
+    // project: they wait until changes pause, so a burst of taps is written once.
+    function saveActiveProject(isSilent = false) {
+        clearTimeout(pendingSaveTimeout);
+        if (isSilent && appState.activeProject.id) {
+            pendingSaveTimeout = setTimeout(flushPendingSave, SAVE_DELAY_MS);
+            return;
+        }
+        pendingSaveTimeout = null;
+        return writeActiveProject(isSilent);
+    }
+
+    // Writes a waiting auto-save straight away, e.g. before switching projects or when the page
+    // is hidden. Resolves once it is stored.
+    function flushPendingSave() {
+        if (!pendingSaveTimeout) return Promise.resolve();
+        clearTimeout(pendingSaveTimeout);
+        pendingSaveTimeout = null;
+        // The project may have been deleted in another tab since the save was scheduled.
+        return appState.activeProject.id ? writeActiveProject(true) : Promise.resolve();
+    }
+
+    // Writes the active project now, giving a new project its ID.
+    async function writeActiveProject(isSilent) {
         const project = appState.activeProject;
         if (!project.name.trim()) {
             showToast("Project name cannot be empty.", 'error');
@@ -220,25 +585,46 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!project.id) {
             project.id = `project-${Date.now()}`;
         }
-        project.lastModified = Date.now();
+        snapshotBeforeSave(project);
         
         try {
-            await saveProject(project);
-            appState.isDirty = false;
+            await queueSync(() => writeProject(project));
             if (!isSilent) {
+                appState.isDirty = false;
+                rememberActiveProject();
                 showToast("Project saved!", 'success');
+                render();
+            } else if (appState.activeProject !== project) {
+                render(); // Changes from another tab were merged in while saving
             }
-            await fetchSavedProjects(); // Refresh list in case of name change
-            render();
+            await refreshProjectsList(); // In case of a name change
         } catch (error) {
             console.error("Failed to save project:", error);
             showToast("Error saving project.", 'error');
         }
     }
     
-    // Fetches all projects from the database and updates the state.
+    // Fetches the projects matching the library query from the database and updates the state.
     async function fetchSavedProjects() {
-        appState.savedProjects = await getAllProjects();
+        const { text, tag, showClosed, sortBy } = appState.projectQuery;
+        const statuses = showClosed ? PROJECT_STATUSES : PROJECT_STATUSES.filter(s => !CLOSED_STATUSES.includes(s));
+        const projects = await queryProjects({ statuses, tag, text });
+        appState.savedProjects = sortProjects(projects, sortBy);
+        appState.trashedProjects = await getTrashedProjects();
+    }
+
+    // Re-reads and re-renders the projects list, if it is open. It is read fresh when opened.
+    async function refreshProjectsList() {
+        if (appState.activeModal !== 'projects') return;
+        await fetchSavedProjects();
+        renderProjectsList();
+    }
+
+    // Opens the projects list once it is read, with any waiting auto-save included.
+    async function showProjectsModal() {
+        await flushPendingSave();
+        await fetchSavedProjects();
+        showModal('projects');
     }
 
     // Loads a project from the saved projects list, confirming if there are unsaved changes.
@@ -255,8 +641,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Performs the actual project loading logic.
-    function performLoadProject(projectId) {
-        const projectToLoad = appState.savedProjects.find(p => p.id === projectId);
+    async function performLoadProject(projectId) {
+        const projectToLoad = await getProject(projectId);
         if (projectToLoad) {
             setActiveProject(projectToLoad);
             closeModal();
@@ -264,9 +650,21 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    // Deletes a project from the database and handles UI updates.
+    // Asks before moving a project to the trash.
+    function confirmProjectDeletion(projectId, name) {
+        showConfirmation({
+            title: `Delete "${name}"?`,
+            message: `This project will be moved to the Trash in My Projects, where it can be restored for ${formatTrashPeriod()}.`,
+            onConfirm: () => handleProjectDeletion(projectId)
+        });
+    }
+
+    // Moves a project to the trash and handles UI updates. Its attachments are kept until it is purged.
     async function handleProjectDeletion(projectId) {
-        await deleteProject(projectId);
+        await flushPendingSave();
+        await trashProject(projectId);
+        syncBases.delete(projectId);
+        broadcastSync('project-deleted', projectId);
         await fetchSavedProjects();
         
         // If the deleted project was the active one, load the next available or a new one.
@@ -275,654 +673,3651 @@ document.addEventListener('DOMContentLoaded', () => {
             setActiveProject(nextProject || createDefaultProject());
         }
         render();
-        showToast('Project deleted.', 'success');
+        showToast('Project moved to Trash.', 'success', 5000, { label: 'Undo', onClick: () => handleProjectRestore(projectId) });
     }
 
-    // --- COUNTER ACTIONS --- //
+    // --- TRASH --- //
 
-    function incrementCounter(counterId) {
-        updateAndSave(() => {
-            const counter = findCounter(counterId);
-            if (counter) {
-                counter.value++;
-                appState.activeProject.incrementHistory.push({ counterId, timestamp: Date.now() });
-            }
-        });
+    // How long deleted items stay restorable, for messages, e.g. "30 days".
+    function formatTrashPeriod() {
+        const days = appState.settings.trashDays;
+        return `${days} ${days === 1 ? 'day' : 'days'}`;
     }
 
-    function decrementCounter(counterId) {
-        updateAndSave(() => {
-            const counter = findCounter(counterId);
-            if (counter && counter.value > 0) {
-                counter.value--;
-                // Treat a decrement as an undo for ETA calculation: remove the most recent increment record for this counter
-                const history = appState.activeProject.incrementHistory;
-                for (let i = history.length - 1; i >= 0; i--) {
-                    if (history[i].counterId === counterId) {
-                        history.splice(i, 1);
-                        break;
-                    }
-                }
-            }
-        });
+    // Moves a project from the trash back into the projects list.
+    async function handleProjectRestore(projectId) {
+        const project = await restoreProject(projectId);
+        if (!project) return;
+        broadcastSync('project-saved', projectId);
+        await fetchSavedProjects();
+        render();
+        showToast(`"${project.name}" restored.`, 'success', 5000, { label: 'Open', onClick: () => loadProject(projectId) });
     }
 
-    function resetCounter(counterId) {
-        updateAndSave(() => {
-            const counter = findCounter(counterId);
-            if (counter) {
-                counter.value = 0;
-                // Remove all increment history entries for this counter to keep ETA accurate after a reset
-                appState.activeProject.incrementHistory = appState.activeProject.incrementHistory.filter(h => h.counterId !== counterId);
-            }
-        });
-    }
-    
-    function addSubCounter() {
-        updateAndSave(() => {
-            const newCounter = {
-                id: `counter-${Date.now()}`,
-                name: 'New Counter',
-                value: 0,
-                target: null,
-            };
-            appState.activeProject.subCounters.push(newCounter);
-        });
+    // Permanently deletes projects from the trash, with their attachments and snapshots. Takes the same
+    // options as purgeTrash(): a single projectId, or everything deleted before a time.
+    async function purgeTrashedProjects(options) {
+        const purged = await purgeTrash(options);
+        await Promise.all(purged.flatMap(id => [deleteProjectAttachments(id), deleteProjectSnapshots(id)]));
+        return purged;
     }
 
-    function deleteSubCounter(counterId) {
-        updateAndSave(() => {
-            const project = appState.activeProject;
-            project.subCounters = project.subCounters.filter(c => c.id !== counterId);
-            // Remove increment history entries related to the deleted counter so ETA updates correctly
-            project.incrementHistory = project.incrementHistory.filter(h => h.counterId !== counterId);
-        });
+    // Purges projects that have been in the trash longer than the setting allows.
+    function purgeExpiredTrash() {
+        return purgeTrashedProjects({ deletedBefore: Date.now() - appState.settings.trashDays * DAY_MS });
     }
 
-    // --- TIMER LOGIC --- //
+    // Drops the active project's deleted sub-counters that are past the trash period.
+    // The change is saved along with the project's next save.
+    function purgeDeletedCounters() {
+        const project = appState.activeProject;
+        const cutoff = Date.now() - appState.settings.trashDays * DAY_MS;
+        project.deletedCounters = (project.deletedCounters || []).filter(entry => entry.deletedAt >= cutoff);
+    }
 
-    // Starts the main timer interval.
-    function startProjectTimer() {
-        clearInterval(projectTimerInterval);
-        projectTimerInterval = setInterval(updateTimer, 1000);
+    // Describes when a deleted item will be purged, e.g. "Deleted 3 Oct · removed in 27 days".
+    function describeTrashEntry(deletedAt) {
+        const daysLeft = Math.max(0, Math.ceil((deletedAt + appState.settings.trashDays * DAY_MS - Date.now()) / DAY_MS));
+        const deleted = new Date(deletedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return `Deleted ${deleted} &bull; ${daysLeft <= 1 ? 'removed within a day' : `removed in ${daysLeft} days`}`;
     }
-    
-    // Updates the elapsed time for the active project.
-    function updateTimer() {
-        const timer = appState.activeProject?.timer;
-        if (!timer || timer.isPaused) return;
 
-        const now = Date.now();
-        const elapsedSinceLastTick = now - (timer.lastTick || now);
-        timer.totalElapsedMs += elapsedSinceLastTick;
-        timer.lastTick = now;
-        
-        renderTimer();
+    // Renders the trash below the projects list, hiding it while empty.
+    function renderTrash() {
+        const entries = appState.trashedProjects;
+        dom.trashSection.hidden = entries.length === 0;
+        dom.trashList.innerHTML = entries.map(({ id, deletedAt, project }) => `
+            <div class="flex items-center justify-between p-2 rounded-md hover:bg-gray-200 dark:hover:bg-gray-700">
+                <div class="min-w-0">
+                    <p class="font-medium truncate">${escapeHTML(project.name)}</p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">${describeTrashEntry(deletedAt)}</p>
+                </div>
+                <div class="flex items-center space-x-2 shrink-0">
+                    <button data-action="restore-project" data-id="${id}" class="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600">Restore</button>
+                    <button data-action="purge-project" data-id="${id}" data-name="${escapeHTML(project.name)}" class="px-3 py-1 text-sm text-red-600 dark:text-red-400 rounded-md hover:bg-red-500/10">Delete Forever</button>
+                </div>
+            </div>
+        `).join('');
     }
 
-    // Toggles the paused state of the project timer.
-    function toggleTimerPause() {
-        updateAndSave(() => {
-            const timer = appState.activeProject.timer;
-            timer.isPaused = !timer.isPaused;
-            if (!timer.isPaused) {
-                timer.lastTick = Date.now();
-            }
-        });
+    function handleTrashClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        const { action, id, name } = target.dataset;
+
+        if (action === 'restore-project') {
+            handleProjectRestore(id);
+        } else if (action === 'purge-project') {
+            showConfirmation({
+                title: `Delete "${name}" forever?`,
+                message: 'This project and its attached files will be permanently removed from your device.',
+                onConfirm: async () => {
+                    await purgeTrashedProjects({ projectId: id });
+                    await fetchSavedProjects();
+                    renderProjectsList();
+                    showToast('Project permanently deleted.', 'success');
+                }
+            });
+        } else if (action === 'empty-trash') {
+            showConfirmation({
+                title: 'Empty Trash?',
+                message: 'Every project in the Trash and its attached files will be permanently removed from your device.',
+                onConfirm: async () => {
+                    const purged = await purgeTrashedProjects({ deletedBefore: Infinity });
+                    await fetchSavedProjects();
+                    renderProjectsList();
+                    showToast(`${purged.length} ${purged.length === 1 ? 'project' : 'projects'} permanently deleted.`, 'success');
+                }
+            });
+        }
     }
 
-    // --- RENDERING --- //
+    // --- HISTORY --- //
 
-    // Main render function to update the entire UI based on the current state.
-    function render() {
-        if (!appState.activeProject) return;
-        
-        dom.projectName.value = appState.activeProject.name;
-        dom.projectNotes.value = appState.activeProject.notes;
-        dom.projectPatternUrl.value = appState.activeProject.patternUrl;
-        
-        renderMainCounter();
-        renderSubCounters();
-        renderTimer();
-        renderSaveButton();
-        renderModals();
-        renderProjectsList();
+    // Saves a snapshot of a project for the History view, then prunes its older snapshots.
+    // The copy is taken straight away, so the caller can change the project right after.
+    // Nothing is saved if it matches the newest snapshot.
+    async function takeSnapshot(project, reason) {
+        if (!project || !project.id) return;
+        const copy = structuredClone(project);
+        // Snapshots are keyed by time, so two taken in the same millisecond must not collide.
+        const takenAt = Math.max(Date.now(), (lastSnapshotTimes.get(copy.id) || 0) + 1);
+        lastSnapshotTimes.set(copy.id, takenAt);
+        try {
+            const snapshots = await getSnapshots(copy.id);
+            if (snapshots[0] && getSnapshotContent(snapshots[0].project) === getSnapshotContent(copy)) return;
+            const snapshot = { id: `snapshot-${takenAt}`, projectId: copy.id, takenAt, reason, project: copy };
+            await saveSnapshot(snapshot);
+            await deleteSnapshots(getExpiredSnapshotIds([snapshot, ...snapshots], takenAt));
+        } catch (error) {
+            console.error("Failed to take snapshot:", error);
+        }
     }
 
-    function renderMainCounter() {
-        const counter = appState.activeProject.mainCounter;
-        dom.mainCounterContainer.innerHTML = createCounterHTML(counter, true);
+    // Auto-saves overwrite the only stored copy, so now and then keep the copy about to be overwritten.
+    function snapshotBeforeSave(project) {
+        const stored = syncBases.get(project.id);
+        if (!stored || Date.now() - (lastSnapshotTimes.get(project.id) || 0) < SNAPSHOT_INTERVAL_MS) return;
+        takeSnapshot(stored, 'Auto-saved');
     }
 
-    function renderSubCounters() {
-        const counters = appState.activeProject.subCounters;
-        dom.subCountersContainer.innerHTML = counters.map(c => createCounterHTML(c, false)).join('');
+    // The parts of a project that snapshots are compared on. Time worked and save bookkeeping
+    // are left out, since restoring never rolls them back.
+    function getSnapshotContent(project) {
+        const { timer, sessions, lastModified, revision, ...content } = project;
+        return JSON.stringify(content);
     }
 
-    function renderTimer() {
-        const timer = appState.activeProject.timer;
-        const showTimer = appState.settings.showTimer;
+    // Picks the snapshots the retention policy drops, from a project's snapshots newest first.
+    function getExpiredSnapshotIds(snapshots, now) {
+        const keptDays = new Set();
+        let kept = 0;
+        return snapshots.filter(snapshot => {
+            const age = now - snapshot.takenAt;
+            if (age > SNAPSHOT_KEEP_DAYS * DAY_MS || kept >= SNAPSHOT_LIMIT) return true;
+            if (age > DAY_MS) {
+                const day = toDayKey(snapshot.takenAt);
+                if (keptDays.has(day)) return true;
+                keptDays.add(day);
+            }
+            kept++;
+            return false;
+        }).map(snapshot => snapshot.id);
+    }
 
-        dom.projectTimer.hidden = !showTimer;
-        if (!showTimer) return;
-        
-        dom.timerDisplay.textContent = formatTime(timer.totalElapsedMs);
-        dom.timerPauseBtn.innerHTML = timer.isPaused
-            ? `<svg xmlns="http://www.w.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" /></svg>`
-            : `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg>`;
+    // Summarises what changed between two versions of a project, e.g. ["Row 42→0", "notes changed"].
+    function describeProjectChanges(from, to) {
+        const changes = [];
+        const fromCounters = [from.mainCounter, ...from.subCounters];
+        const toCounters = [to.mainCounter, ...to.subCounters];
+
+        if (from.name !== to.name) changes.push(`renamed to "${to.name}"`);
+        toCounters.forEach(counter => {
+            const old = fromCounters.find(c => c.id === counter.id);
+            if (!old) {
+                changes.push(`"${counter.name}" added`);
+                return;
+            }
+            if (old.name !== counter.name) changes.push(`"${old.name}" renamed to "${counter.name}"`);
+            if (old.value !== counter.value) changes.push(`${counter.name} ${old.value}→${counter.value}`);
+            if (old.target !== counter.target) changes.push(`${counter.name} target ${old.target ?? 'none'}→${counter.target ?? 'none'}`);
+        });
+        fromCounters.filter(old => !toCounters.some(c => c.id === old.id)).forEach(old => {
+            changes.push(`"${old.name}" deleted`);
+        });
+        ['notes', 'instructions', 'patternUrl', 'status', 'tags', 'materials'].forEach(field => {
+            if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) changes.push(`${PROPERTY_LABELS[field]} changed`);
+        });
+        return changes;
     }
 
-    // Updates the save button's text and disabled state.
-    function renderSaveButton() {
+    async function showHistoryModal() {
         const project = appState.activeProject;
         if (!project.id) {
-            // Unsaved project
-            dom.saveProjectBtn.textContent = 'Save to Device';
-            dom.saveProjectBtn.disabled = false;
-        } else {
-            // For saved projects, always show as Saved
-            dom.saveProjectBtn.textContent = 'Saved';
-            dom.saveProjectBtn.disabled = true;
+            showToast("Save the project to start keeping its history.", 'info');
+            return;
         }
+        appState.historyContext = { snapshots: await getSnapshots(project.id), previewId: null };
+        showModal('history');
     }
-    
-    // Sets the theme for the application (always dark).
-    function applyTheme() {
-        document.documentElement.classList.add('dark');
-        document.querySelector('meta[name="theme-color"]').setAttribute('content', '#111827');
-    }
-    
-    // Renders the list of saved projects in the projects modal.
-    function renderProjectsList() {
-        if (appState.savedProjects.length === 0) {
-            dom.projectsList.innerHTML = `<p class="text-center text-gray-500 py-4">No projects saved yet.</p>`;
+
+    // Lists the active project's snapshots, each with what has changed since it was taken.
+    function renderHistory() {
+        const { snapshots, previewId } = appState.historyContext;
+        if (snapshots.length === 0) {
+            dom.historyList.innerHTML = `<p class="text-center text-gray-500 dark:text-gray-400 py-4">No snapshots yet. One is kept every ${SNAPSHOT_INTERVAL_MS / 60000} minutes while you work, and before resets and deletions.</p>`;
             return;
         }
-        
-        dom.projectsList.innerHTML = appState.savedProjects.map(p => `
-            <div class="flex items-center justify-between p-3 rounded-md hover:bg-gray-700">
-                <div>
-                    <p class="font-semibold">${p.name}</p>
-                    <p class="text-sm text-gray-400">
-                        ${p.mainCounter.name}: ${p.mainCounter.value} &bull; Last modified: ${new Date(p.lastModified).toLocaleDateString()}
-                    </p>
-                </div>
-                <div class="flex items-center space-x-2">
-                    <button data-action="load-project" data-id="${p.id}" class="px-3 py-1 text-sm bg-violet-600 text-white rounded-md hover:bg-violet-700">Load</button>
-                    <button data-action="delete-project" data-id="${p.id}" data-name="${p.name}" class="p-2 rounded-full text-gray-500 hover:bg-red-500/10 hover:text-red-500">
-                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
-                    </button>
+
+        dom.historyList.innerHTML = snapshots.map(snapshot => {
+            const changes = describeProjectChanges(snapshot.project, appState.activeProject);
+            const summary = changes.length === 0 ? 'Same as now'
+                : `Since then: ${changes.slice(0, 5).join(', ')}${changes.length > 5 ? ` and ${changes.length - 5} more` : ''}`;
+            const isPreviewed = snapshot.id === previewId;
+            return `
+            <div class="p-3 rounded-md ${isPreviewed ? 'bg-gray-100 dark:bg-gray-700/50' : 'hover:bg-gray-100 dark:hover:bg-gray-700/50'}">
+                <div class="flex items-center justify-between">
+                    <div class="min-w-0">
+                        <p class="font-semibold">${new Date(snapshot.takenAt).toLocaleString()}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">${escapeHTML(snapshot.reason)}</p>
+                    </div>
+                    <div class="flex items-center space-x-2 shrink-0">
+                        <button data-action="preview-snapshot" data-id="${snapshot.id}" class="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600">${isPreviewed ? 'Hide' : 'Preview'}</button>
+                        <button data-action="restore-snapshot" data-id="${snapshot.id}" class="px-3 py-1 text-sm bg-violet-600 text-white rounded-md hover:bg-violet-700">Restore</button>
+                    </div>
                 </div>
+                <p class="text-sm text-gray-600 dark:text-gray-300 mt-1">${escapeHTML(summary)}</p>
+                ${isPreviewed ? createSnapshotPreviewHTML(snapshot.project) : ''}
             </div>
-        `).join('');
-    }
-
-    // Generates the HTML string for a single counter.
-    function createCounterHTML(counter, isMain) {
-        const showTarget = appState.settings.showTimer && (counter.target !== null && counter.target > 0);
-        const targetHTML = `
-            <span class="text-2xl text-gray-500">/</span>
-            <input type="number" min="0" value="${counter.target || ''}" placeholder="Target" data-property="target" data-id="${counter.id}" 
-                   class="bg-transparent text-2xl w-24 text-center focus:bg-gray-700 rounded-md p-1 -m-1">
         `;
-        
-        const eta = appState.settings.showTimer ? calculateETA(counter) : null;
-        const etaHTML = eta ? `<p class="text-xs text-center text-violet-400 font-medium mt-1">${eta}</p>` : '';
+        }).join('');
+    }
 
-        const deleteBtnHTML = isMain ? '' : `
-            <button data-action="delete-sub-counter" data-id="${counter.id}" class="absolute -top-2 -right-2 p-1 bg-gray-600 rounded-full text-gray-300 hover:bg-red-500 hover:text-white transition">
-                <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="3"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" /></svg>
-            </button>
+    // Shows a snapshot's counters, instructions and notes as they were.
+    function createSnapshotPreviewHTML(project) {
+        const countersHTML = [project.mainCounter, ...project.subCounters].map(c => `
+            <li>${escapeHTML(c.name)}: <span class="font-semibold">${c.value}</span>${c.target ? ` / ${c.target}` : ''}</li>
+        `).join('');
+        const details = [
+            `Status: ${(STATUS_STYLES[project.status] || STATUS_STYLES.active).label}`,
+            `${project.instructions.length} instruction ${project.instructions.length === 1 ? 'line' : 'lines'}`,
+            project.tags.length ? `Tags: ${project.tags.join(', ')}` : '',
+        ].filter(Boolean);
+        return `
+            <div class="mt-2 pt-2 border-t border-gray-200 dark:border-gray-600 text-sm space-y-1">
+                <p class="font-medium">${escapeHTML(project.name)}</p>
+                <ul class="text-gray-600 dark:text-gray-300">${countersHTML}</ul>
+                <p class="text-gray-500 dark:text-gray-400">${escapeHTML(details.join(' • '))}</p>
+                ${project.notes ? `<p class="whitespace-pre-wrap max-h-32 overflow-y-auto p-2 rounded bg-white dark:bg-gray-800">${escapeHTML(project.notes)}</p>` : ''}
+            </div>
         `;
+    }
 
-        const containerClasses = isMain 
-            ? 'flex flex-col items-center'
-            : 'relative bg-gray-800 p-4 rounded-xl shadow-md flex flex-col items-center';
-            
-        const nameInputClasses = isMain
-            ? 'font-semibold text-xl text-center'
-            : 'font-medium w-full text-center';
+    function toggleSnapshotPreview(snapshotId) {
+        const context = appState.historyContext;
+        context.previewId = context.previewId === snapshotId ? null : snapshotId;
+        renderHistory();
+    }
 
-        const counterDisplayHTML = `
-            <div class="flex items-baseline justify-center font-mono font-bold text-violet-400">
-                <span class="counter-value">${counter.value}</span>
-                ${showTarget ? targetHTML : ''}
+    function confirmSnapshotRestore(snapshotId) {
+        const snapshot = appState.historyContext.snapshots.find(s => s.id === snapshotId);
+        if (!snapshot) return;
+        showConfirmation({
+            title: 'Restore This Version?',
+            message: `The project will go back to how it was on ${new Date(snapshot.takenAt).toLocaleString()}. The current version is kept in History, and time worked is not rolled back.`,
+            onConfirm: () => restoreFromHistory(snapshot)
+        });
+    }
+
+    // Replaces the active project with a snapshot, keeping a snapshot of the current version first.
+    function restoreFromHistory(snapshot) {
+        takeSnapshot(appState.activeProject, 'Before restoring an earlier version');
+        recordUndoStep('Restore from history');
+        restoreSnapshot(snapshot.project);
+        showToast(`Restored the version from ${new Date(snapshot.takenAt).toLocaleString()}.`, 'success', 5000, { label: 'Undo', onClick: undo });
+    }
+
+    // --- PROJECT LIBRARY --- //
+
+    // Merges changes into the projects list query and refreshes the list.
+    async function updateProjectQuery(changes) {
+        appState.projectQuery = { ...appState.projectQuery, ...changes };
+        await fetchSavedProjects();
+        renderProjectsList();
+    }
+
+    // Returns a sorted copy of the projects for the given sort option.
+    function sortProjects(projects, sortBy) {
+        const comparators = {
+            lastModified: (a, b) => b.lastModified - a.lastModified,
+            name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }),
+            progress: (a, b) => getProjectProgress(b) - getProjectProgress(a),
+            time: (a, b) => b.timer.totalElapsedMs - a.timer.totalElapsedMs,
+        };
+        return [...projects].sort(comparators[sortBy] || comparators.lastModified);
+    }
+
+    // Returns the main counter's progress towards its target (0 to 1), or -1 if it has no target.
+    // Projects without a target therefore sort after every project with one.
+    function getProjectProgress(project) {
+        const { value, target } = project.mainCounter;
+        return target > 0 ? Math.min(value / target, 1) : -1;
+    }
+
+    // Turns comma-separated tag text into a list of unique, trimmed tags.
+    function parseTags(text) {
+        const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    // --- MATERIALS --- //
+
+    // Fields stored as numbers; an empty field is stored as null.
+    const NUMERIC_MATERIAL_FIELDS = ['yardage', 'skeins', 'stitches', 'rows'];
+
+    // Adds an empty yarn or hook to the active project's materials.
+    function addMaterial(list) {
+        const item = list === 'yarns'
+            ? { id: `yarn-${Date.now()}`, brand: '', colourway: '', weight: '', fibre: '', yardage: null, skeins: null, dyeLot: '' }
+            : { id: `hook-${Date.now()}`, kind: 'hook', size: '' };
+        updateAndSave(() => {
+            appState.activeProject.materials[list].push(item);
+        }, list === 'yarns' ? 'Add yarn' : 'Add hook');
+    }
+
+    function removeMaterial(list, id) {
+        updateAndSave(() => {
+            const materials = appState.activeProject.materials;
+            materials[list] = materials[list].filter(item => item.id !== id);
+        }, list === 'yarns' ? 'Remove yarn' : 'Remove hook');
+    }
+
+    // Updates one materials field from its input without a full re-render, like updateProjectProperty.
+    function handleMaterialInput(e) {
+        const target = e.target.closest('[data-material]');
+        if (!target || !appState.activeProject) return;
+
+        const { material: list, id, field } = target.dataset;
+        const materials = appState.activeProject.materials;
+        const item = list === 'gauge' ? materials.gauge : materials[list].find(i => i.id === id);
+        if (!item) return;
+
+        const value = NUMERIC_MATERIAL_FIELDS.includes(field)
+            ? (target.value === '' || isNaN(parseFloat(target.value)) ? null : parseFloat(target.value))
+            : target.value;
+        if (item[field] === value) return;
+
+        recordUndoStep(`Edit ${PROPERTY_LABELS[field] || field}`, `material:${list}:${id}:${field}`);
+        item[field] = value;
+        appState.activeProject.lastModified = Date.now();
+        saveProjectChange();
+    }
+
+    // --- SIZING CALCULATOR --- //
+
+    // Opens the sizing calculator, starting from the project's recorded gauge.
+    // The fields are filled here rather than in renderModals so re-renders don't clobber typing.
+    function showSizingModal() {
+        const { gauge } = appState.activeProject.materials;
+        dom.sizingInputs.gaugeStitches.value = gauge.stitches ?? '';
+        dom.sizingInputs.gaugeRows.value = gauge.rows ?? '';
+
+        const subCounters = appState.activeProject.subCounters;
+        dom.sizingCounterSelect.innerHTML = subCounters
+            .map(c => `<option value="${c.id}">${escapeHTML(c.name)}</option>`)
+            .join('') + `<option value="">New "Stitch" counter</option>`;
+
+        showModal('sizing');
+        renderSizingResult();
+    }
+
+    // Reads the calculator fields as numbers; empty or invalid fields are null.
+    function readSizingInputs() {
+        return Object.fromEntries(Object.entries(dom.sizingInputs).map(([key, input]) => {
+            const value = parseFloat(input.value);
+            return [key, Number.isFinite(value) && value >= 0 ? value : null];
+        }));
+    }
+
+    // Works out stitch and row counts for a finished size from a gauge measured over 10 cm.
+    // The stitch count is rounded to the nearest count the stitch pattern allows
+    // (a multiple plus an offset, e.g. "multiple of 6 + 2"). Either count is null if its inputs are missing.
+    function calculateSizing({ gaugeStitches, gaugeRows, width, length, multiple, offset }) {
+        let stitches = null;
+        if (gaugeStitches && width) {
+            const exact = width * gaugeStitches / 10;
+            const step = multiple >= 1 ? Math.round(multiple) : 1;
+            const extra = Math.round(offset || 0);
+            const repeats = Math.max(1, Math.round((exact - extra) / step));
+            stitches = repeats * step + extra;
+        }
+        const rows = gaugeRows && length ? Math.max(1, Math.round(length * gaugeRows / 10)) : null;
+
+        return {
+            stitches,
+            rows,
+            // The finished size those whole counts actually give.
+            actualWidth: stitches && stitches * 10 / gaugeStitches,
+            actualLength: rows && rows * 10 / gaugeRows,
+        };
+    }
+
+    function renderSizingResult() {
+        const { stitches, rows, actualWidth, actualLength } = calculateSizing(readSizingInputs());
+        const formatCm = (cm) => `${Math.round(cm * 10) / 10} cm`;
+
+        dom.sizingResult.innerHTML = `
+            <p><span class="font-mono font-bold text-violet-600 dark:text-violet-400">${stitches ?? '–'}</span> stitches${stitches ? ` <span class="text-gray-500 dark:text-gray-400">(${formatCm(actualWidth)} wide)</span>` : ''}</p>
+            <p><span class="font-mono font-bold text-violet-600 dark:text-violet-400">${rows ?? '–'}</span> rows${rows ? ` <span class="text-gray-500 dark:text-gray-400">(${formatCm(actualLength)} long)</span>` : ''}</p>
+        `;
+        dom.modals.sizing.querySelector('[data-action="sizing-apply"]').disabled = !stitches && !rows;
+    }
+
+    // Sets the row count as the main counter's target and the stitch count as the chosen
+    // sub-counter's target (creating a stitch counter if asked), and records the gauge used.
+    function handleSizingApply() {
+        const inputs = readSizingInputs();
+        const { stitches, rows } = calculateSizing(inputs);
+        if (!stitches && !rows) return;
+        const counterId = dom.sizingCounterSelect.value;
+
+        updateAndSave(() => {
+            const project = appState.activeProject;
+            if (rows) setCounterGoal(project.mainCounter, rows);
+            if (stitches) {
+                let counter = counterId && engine.findCounter(counterId);
+                if (!counter) {
+                    counter = createSubCounter({ name: 'Stitch' });
+                    project.subCounters.push(counter);
+                }
+                setCounterGoal(counter, stitches);
+            }
+            // Keep the recorded gauge for any field left empty.
+            const { gauge } = project.materials;
+            if (inputs.gaugeStitches) gauge.stitches = inputs.gaugeStitches;
+            if (inputs.gaugeRows) gauge.rows = inputs.gaugeRows;
+        }, 'Apply sizing');
+
+        closeModal();
+        showToast('Targets set from sizing.', 'success');
+    }
+
+    // --- SHAPING PLANNER --- //
+
+    // Checks that a stitch count change can be spread evenly, with at most one
+    // increase or decrease per repeat. Returns an error message, or null if it can.
+    function validateShapingCounts(from, to) {
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+            return 'Enter whole stitch counts above zero.';
+        }
+        if (from === to) return 'The stitch counts are the same, so there is nothing to shape.';
+        if (to > from * 2) return 'That needs more than one increase in every stitch.';
+        if (to < from / 2) return 'That needs more than one decrease for every two stitches.';
+        return null;
+    }
+
+    // Spreads the increases or decreases between two stitch counts as evenly as possible.
+    // Each repeat is some plain stitches followed by one increase (worked into one stitch)
+    // or one decrease (worked over two), and the repeats use up every stitch of the
+    // previous row. Shorter repeats come first, e.g. 52 to 59: *sc 6, inc* x4, *sc 7, inc* x3.
+    function planShaping(from, to, stitch) {
+        const shaping = to > from ? 'inc' : 'dec';
+        const count = Math.abs(to - from);
+        const perRepeat = Math.floor(from / count); // Stitches of the previous row used by a short repeat
+        const longRepeats = from % count;
+        const shapingWidth = shaping === 'inc' ? 1 : 2;
+
+        const steps = [
+            { work: perRepeat - shapingWidth, repeats: count - longRepeats },
+            { work: perRepeat - shapingWidth + 1, repeats: longRepeats },
+        ].filter(step => step.repeats > 0);
+
+        return { from, to, stitch, shaping, steps };
+    }
+
+    // Formats one group of repeats, e.g. "*sc 6, inc* x4".
+    function formatPlanStep(step, plan) {
+        const work = step.work > 0 ? `${plan.stitch} ${step.work}, ` : '';
+        return `*${work}${plan.shaping}* x${step.repeats}`;
+    }
+
+    // The number of counter taps the plan takes: one per plain stitch and one per increase or decrease.
+    function getPlanLength(plan) {
+        return plan.steps.reduce((sum, step) => sum + (step.work + 1) * step.repeats, 0);
+    }
+
+    // Finds where a count of finished taps falls in the plan. The stitch is the one being
+    // worked next, counted within its repeat. Returns null once the plan is complete.
+    function findPlanPosition(plan, value) {
+        const totalRepeats = plan.steps.reduce((sum, step) => sum + step.repeats, 0);
+        let remaining = value;
+        let repeatsBefore = 0;
+
+        for (let groupIndex = 0; groupIndex < plan.steps.length; groupIndex++) {
+            const step = plan.steps[groupIndex];
+            const repeatLength = step.work + 1;
+            if (remaining < repeatLength * step.repeats) {
+                const stitch = remaining % repeatLength + 1;
+                return {
+                    groupIndex,
+                    repeat: repeatsBefore + Math.floor(remaining / repeatLength) + 1,
+                    totalRepeats,
+                    stitch,
+                    repeatLength,
+                    next: stitch === repeatLength ? plan.shaping : plan.stitch,
+                };
+            }
+            remaining -= repeatLength * step.repeats;
+            repeatsBefore += step.repeats;
+        }
+        return null;
+    }
+
+    // Checks a stored or imported plan has the shape planShaping() produces.
+    function isValidPlan(plan) {
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+        return !!plan && typeof plan === 'object'
+            && ['inc', 'dec'].includes(plan.shaping) && typeof plan.stitch === 'string'
+            && isCount(plan.from) && isCount(plan.to)
+            && Array.isArray(plan.steps) && plan.steps.length > 0
+            && plan.steps.every(step => step && isCount(step.work) && isCount(step.repeats));
+    }
+
+    // Opens the planner for a sub-counter, starting from its current plan if it has one.
+    // The fields are filled here rather than in renderModals so re-renders don't clobber typing.
+    function showPlannerModal(counterId) {
+        const counter = engine.findCounter(counterId);
+        if (!counter) return;
+        appState.plannerContext = { counterId };
+        dom.plannerFromInput.value = counter.plan ? counter.plan.from : '';
+        dom.plannerToInput.value = counter.plan ? counter.plan.to : '';
+        dom.plannerStitchInput.value = counter.plan ? counter.plan.stitch : 'sc';
+        dom.modals.planner.querySelector('[data-action="planner-remove"]').hidden = !counter.plan;
+        showModal('planner');
+        renderPlannerPreview();
+    }
+
+    // Reads the planner fields, returning the plan or an error message.
+    function readPlannerInputs() {
+        const from = Number(dom.plannerFromInput.value);
+        const to = Number(dom.plannerToInput.value);
+        const stitch = dom.plannerStitchInput.value.trim() || 'sc';
+        const error = validateShapingCounts(from, to);
+        return error ? { error } : { plan: planShaping(from, to, stitch) };
+    }
+
+    function renderPlannerPreview() {
+        const applyBtn = dom.modals.planner.querySelector('[data-action="planner-apply"]');
+        if (!dom.plannerFromInput.value || !dom.plannerToInput.value) {
+            dom.plannerPreview.innerHTML = `<p class="text-gray-500 dark:text-gray-400">Enter the current and desired stitch counts.</p>`;
+            applyBtn.disabled = true;
+            return;
+        }
+
+        const { plan, error } = readPlannerInputs();
+        applyBtn.disabled = !!error;
+        if (error) {
+            dom.plannerPreview.innerHTML = `<p class="text-red-500">${escapeHTML(error)}</p>`;
+            return;
+        }
+
+        const count = Math.abs(plan.to - plan.from);
+        dom.plannerPreview.innerHTML = `
+            <p class="font-mono font-semibold text-violet-600 dark:text-violet-400">${escapeHTML(plan.steps.map(step => formatPlanStep(step, plan)).join(', '))}</p>
+            <p class="text-sm text-gray-500 dark:text-gray-400 mt-1">${count} ${plan.shaping === 'inc' ? 'increase' : 'decrease'}${count === 1 ? '' : 's'}, ${getPlanLength(plan)} taps of the counter.</p>
+        `;
+    }
+
+    // Attaches the plan to the counter and sets its target to the plan's length, starting from zero.
+    function handlePlannerApply() {
+        const { plan } = readPlannerInputs();
+        if (!plan) return;
+        takeSnapshot(appState.activeProject, 'Before applying a shaping plan');
+        updateAndSave(() => {
+            const counter = engine.findCounter(appState.plannerContext.counterId);
+            if (!counter) return;
+            // The walkthrough assumes one stitch per tap, counting up
+            Object.assign(counter, createDefaultCounterType());
+            counter.plan = plan;
+            counter.target = getPlanLength(plan);
+            counter.value = 0;
+        }, 'Plan shaping');
+        closeModal();
+    }
+
+    function handlePlannerRemove() {
+        updateAndSave(() => {
+            const counter = engine.findCounter(appState.plannerContext.counterId);
+            if (counter) counter.plan = null;
+        }, 'Remove shaping plan');
+        closeModal();
+    }
+
+    // --- ATTACHMENTS --- //
+
+    // Loads the pattern files of the active project. Unsaved projects have none.
+    async function loadAttachments() {
+        const project = appState.activeProject;
+        const attachments = project && project.id ? await getAttachments(project.id) : [];
+        // Ignore the result if another project was opened meanwhile.
+        if (appState.activeProject !== project) return;
+        appState.attachments = attachments;
+        renderAttachments();
+    }
+
+    // Lists the active project's pattern files in the project details.
+    function renderAttachments() {
+        const project = appState.activeProject;
+        if (!project.id) {
+            dom.attachmentsContainer.innerHTML = `
+                <h3 class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Pattern Files</h3>
+                <p class="text-sm text-gray-500 dark:text-gray-400">Save the project to attach pattern PDFs and images.</p>
+            `;
+            return;
+        }
+
+        const itemsHTML = appState.attachments.map(attachment => `
+            <div class="flex items-center justify-between p-2 bg-white/60 dark:bg-gray-800/50 rounded-lg text-sm">
+                <button data-action="open-attachment" data-id="${attachment.id}" class="flex-1 min-w-0 text-left truncate hover:text-violet-600 dark:hover:text-violet-400">
+                    ${isPdfAttachment(attachment) ? 'PDF' : 'Image'} &bull; ${escapeHTML(attachment.name)}
+                    <span class="text-gray-500 dark:text-gray-400">(${formatFileSize(attachment.size)})</span>
+                </button>
+                <button data-action="delete-attachment" data-id="${attachment.id}" title="Remove file" class="p-1 rounded-full text-gray-500 hover:bg-red-500/10 hover:text-red-500">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="3"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" /></svg>
+                </button>
             </div>
-            ${etaHTML}
-            <div class="flex flex-col md:flex-row items-center justify-center space-y-2 md:space-y-0 md:space-x-4 mt-2">
-                 <button data-action="reset" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-200">Reset</button>
-                 ${appState.settings.showTimer ? `<button data-action="toggle-target" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-200">${counter.target ? 'Remove Target' : 'Set Target'}</button>` : ''}
+        `).join('');
+
+        dom.attachmentsContainer.innerHTML = `
+            <h3 class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Pattern Files</h3>
+            <div class="space-y-2">
+                ${itemsHTML}
+                <button data-action="add-attachment" class="text-sm text-violet-600 dark:text-violet-400 hover:underline">+ Attach PDF or Image</button>
+                <p class="text-xs text-gray-500 dark:text-gray-400">Images open here with zoom and the row highlighter. PDFs open in your device's PDF viewer.</p>
+            </div>
+        `;
+    }
+
+    // Stores chosen PDFs and images with the active project, so they are available offline.
+    async function handleAttachmentFiles(e) {
+        const project = appState.activeProject;
+        const files = [...e.target.files];
+        e.target.value = ''; // Allow choosing the same file again later
+
+        let attached = 0;
+        for (const [i, file] of files.entries()) {
+            if (file.type !== 'application/pdf' && !file.type.startsWith('image/')) {
+                showToast(`"${file.name}" isn't a PDF or an image.`, 'error');
+                continue;
+            }
+            const attachment = {
+                id: `attachment-${Date.now()}-${i}`,
+                projectId: project.id,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                blob: file,
+                createdAt: Date.now(),
+                highlighter: { ...DEFAULT_HIGHLIGHTER },
+            };
+            try {
+                await saveAttachment(attachment);
+                if (appState.activeProject === project) appState.attachments.push(attachment);
+                attached++;
+            } catch (error) {
+                console.error("Failed to save attachment:", error);
+                showToast(`Couldn't store "${file.name}". The device may be out of space.`, 'error');
+            }
+        }
+
+        renderAttachments();
+        if (attached) showToast(`Attached ${attached} file${attached === 1 ? '' : 's'}.`, 'success');
+    }
+
+    function confirmAttachmentDeletion(attachmentId) {
+        const attachment = appState.attachments.find(a => a.id === attachmentId);
+        if (!attachment) return;
+        showConfirmation({
+            title: `Remove "${attachment.name}"?`,
+            message: 'The file will be deleted from this device.',
+            onConfirm: async () => {
+                await deleteAttachment(attachmentId);
+                appState.attachments = appState.attachments.filter(a => a.id !== attachmentId);
+                renderAttachments();
+            }
+        });
+    }
+
+    // Formats a file size in bytes as e.g. "820 KB" or "3.4 MB".
+    function formatFileSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${Math.round(bytes / 1024 / 102.4) / 10} MB`;
+    }
+
+    // --- ATTACHMENT VIEWER --- //
+
+    // Zoom limits and the step used by the zoom buttons.
+    const VIEWER_MIN_SCALE = 0.1;
+    const VIEWER_MAX_SCALE = 10;
+    const VIEWER_ZOOM_STEP = 1.25;
+
+    function getViewedAttachment() {
+        return appState.attachments.find(a => a.id === appState.viewerContext.attachmentId) || null;
+    }
+
+    // How long a PDF handed to the device's own viewer stays readable from its object URL.
+    const PDF_URL_LIFETIME_MS = 60 * 1000;
+
+    function isPdfAttachment(attachment) {
+        return attachment.type === 'application/pdf';
+    }
+
+    // Opens a pattern file. Images open in the viewer, which zooms and pans them with the
+    // highlighter fixed to the image. Phones can't show a stored PDF inside the page, so PDFs
+    // are handed to the device's own PDF viewer instead, without the highlighter.
+    function openAttachment(attachmentId) {
+        const attachment = appState.attachments.find(a => a.id === attachmentId);
+        if (!attachment) return;
+        if (isPdfAttachment(attachment)) {
+            openPdfExternally(attachment);
+            return;
+        }
+
+        releaseViewer();
+        appState.viewerContext = { attachmentId };
+        viewer = { url: URL.createObjectURL(attachment.blob), scale: 1, x: 0, y: 0, pointers: new Map(), drag: null };
+
+        dom.viewerTitle.textContent = attachment.name;
+        dom.viewerContent.style.transform = '';
+        dom.viewerContent.querySelectorAll('img').forEach(element => element.remove());
+        dom.viewerContent.insertAdjacentHTML('afterbegin',
+            `<img src="${viewer.url}" alt="${escapeHTML(attachment.name)}" class="block max-w-none select-none" draggable="false">`);
+        dom.viewerContent.querySelector('img').addEventListener('load', fitViewer, { once: true });
+
+        showModal('viewer');
+    }
+
+    // Opens a stored PDF in a new tab, where the browser shows it or passes it to a PDF app.
+    function openPdfExternally(attachment) {
+        const url = URL.createObjectURL(attachment.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.click();
+        // The new tab reads the file from the URL, so keep it alive for a while.
+        setTimeout(() => URL.revokeObjectURL(url), PDF_URL_LIFETIME_MS);
+    }
+
+    // Frees the open file's object URL once the viewer closes.
+    function releaseViewer() {
+        if (!viewer) return;
+        URL.revokeObjectURL(viewer.url);
+        dom.viewerContent.querySelectorAll('img').forEach(element => element.remove());
+        viewer = null;
+    }
+
+    // Updates the row display and highlighter without reloading the file.
+    function renderViewer() {
+        const attachment = getViewedAttachment();
+        if (!attachment || !viewer) return;
+        const highlighter = attachment.highlighter;
+        const { name, value } = appState.activeProject.mainCounter;
+
+        dom.viewerRow.textContent = `${name} ${value}`;
+        dom.highlighterToggle.checked = highlighter.visible;
+        dom.highlighterFollowToggle.checked = highlighter.follow;
+        dom.highlighterFollowToggle.disabled = !highlighter.visible;
+        dom.highlighterDirection.value = highlighter.direction;
+        dom.highlighterDirection.disabled = !highlighter.visible || !highlighter.follow;
+
+        dom.viewerHighlighter.hidden = !highlighter.visible;
+        dom.viewerHighlighter.style.top = `${getHighlighterTop(highlighter) * 100}%`;
+        dom.viewerHighlighter.style.height = `${highlighter.height * 100}%`;
+    }
+
+    // Where the bar sits, as a fraction of the page height. When following the row counter it
+    // moves one bar height per row from where it was anchored, up or down the page.
+    function getHighlighterTop(highlighter) {
+        let top = highlighter.top;
+        if (highlighter.follow) {
+            const rows = appState.activeProject.mainCounter.value - highlighter.row;
+            top += rows * highlighter.height * (highlighter.direction === 'up' ? -1 : 1);
+        }
+        return Math.min(Math.max(top, 0), 1 - highlighter.height);
+    }
+
+    // Changes the open file's highlighter settings and stores them with the attachment.
+    function updateHighlighter(changes) {
+        const attachment = getViewedAttachment();
+        if (!attachment) return;
+        attachment.highlighter = { ...attachment.highlighter, ...changes };
+        renderViewer();
+        saveAttachment(attachment).catch(error => console.error("Failed to save highlighter:", error));
+    }
+
+    function applyViewerTransform() {
+        if (!viewer) return;
+        dom.viewerContent.style.transform = `translate(${viewer.x}px, ${viewer.y}px) scale(${viewer.scale})`;
+    }
+
+    // Scales the image to the width of the viewer and scrolls back to the top.
+    function fitViewer() {
+        const image = dom.viewerContent.querySelector('img');
+        if (!viewer || !image || !image.naturalWidth) return;
+        viewer.scale = dom.viewerStage.clientWidth / image.naturalWidth;
+        viewer.x = 0;
+        viewer.y = 0;
+        applyViewerTransform();
+    }
+
+    // Zooms by a factor while keeping the point (x, y) of the stage in place.
+    function zoomViewer(factor, x, y) {
+        if (!viewer) return;
+        const scale = Math.min(Math.max(viewer.scale * factor, VIEWER_MIN_SCALE), VIEWER_MAX_SCALE);
+        viewer.x = x - (x - viewer.x) * (scale / viewer.scale);
+        viewer.y = y - (y - viewer.y) * (scale / viewer.scale);
+        viewer.scale = scale;
+        applyViewerTransform();
+    }
+
+    function zoomViewerAtCentre(factor) {
+        zoomViewer(factor, dom.viewerStage.clientWidth / 2, dom.viewerStage.clientHeight / 2);
+    }
+
+    function handleViewerWheel(e) {
+        if (!viewer) return;
+        e.preventDefault();
+        const rect = dom.viewerStage.getBoundingClientRect();
+        zoomViewer(Math.exp(-e.deltaY * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    // Starts dragging the highlighter (moving it, or resizing it by its bottom edge),
+    // or panning and pinch-zooming the image.
+    function handleViewerPointerDown(e) {
+        if (!viewer) return;
+        const part = e.target.closest('[data-highlighter-part]');
+        const attachment = getViewedAttachment();
+
+        if (part) {
+            viewer.drag = {
+                part: part.dataset.highlighterPart,
+                startY: e.clientY,
+                startTop: getHighlighterTop(attachment.highlighter),
+                startHeight: attachment.highlighter.height,
+                pageHeight: dom.viewerContent.getBoundingClientRect().height,
+            };
+        } else {
+            viewer.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+        dom.viewerStage.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    }
+
+    function handleViewerPointerMove(e) {
+        if (!viewer) return;
+
+        if (viewer.drag) {
+            const { part, startY, startTop, startHeight, pageHeight } = viewer.drag;
+            const delta = (e.clientY - startY) / pageHeight;
+            const highlighter = getViewedAttachment().highlighter;
+            if (part === 'resize') {
+                highlighter.height = Math.min(Math.max(startHeight + delta, 0.01), 0.5);
+            } else {
+                // Re-anchor at the current row, so following continues from the new position.
+                highlighter.top = Math.min(Math.max(startTop + delta, 0), 1 - highlighter.height);
+                highlighter.row = appState.activeProject.mainCounter.value;
+            }
+            renderViewer();
+            return;
+        }
+
+        const previous = viewer.pointers.get(e.pointerId);
+        if (!previous) return;
+        const current = { x: e.clientX, y: e.clientY };
+
+        if (viewer.pointers.size === 1) {
+            viewer.x += current.x - previous.x;
+            viewer.y += current.y - previous.y;
+            applyViewerTransform();
+        } else if (viewer.pointers.size === 2) {
+            // Pinch: zoom by the change in distance between the two fingers, around their midpoint.
+            const [other] = [...viewer.pointers].filter(([id]) => id !== e.pointerId).map(([, point]) => point);
+            const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const after = Math.hypot(current.x - other.x, current.y - other.y);
+            const rect = dom.viewerStage.getBoundingClientRect();
+            if (before > 0) {
+                zoomViewer(after / before, (current.x + other.x) / 2 - rect.left, (current.y + other.y) / 2 - rect.top);
+            }
+        }
+        viewer.pointers.set(e.pointerId, current);
+    }
+
+    function handleViewerPointerUp(e) {
+        if (!viewer) return;
+        viewer.pointers.delete(e.pointerId);
+        if (viewer.drag) {
+            viewer.drag = null;
+            updateHighlighter({});
+        }
+    }
+
+    // --- COUNTER ACTIONS --- //
+
+    // Counter operations are recorded for undo here; the engine makes the change and
+    // handleEngineChange() saves it.
+    function incrementCounter(counterId) {
+        noteCounterActivity();
+        recordUndoStep('Increment');
+        engine.increment(counterId);
+    }
+
+    function decrementCounter(counterId) {
+        noteCounterActivity();
+        recordUndoStep('Decrement');
+        engine.decrement(counterId);
+    }
+
+    function resetCounter(counterId) {
+        const counter = engine.findCounter(counterId);
+        if (!counter) return;
+        takeSnapshot(appState.activeProject, `Before resetting "${counter.name}"`);
+        recordUndoStep('Reset');
+        engine.reset(counterId);
+    }
+    
+    function addSubCounter() {
+        recordUndoStep('Add sub-counter');
+        engine.addSubCounter();
+    }
+
+    // Deletes a sub-counter. It can be restored until the trash period runs out.
+    function deleteSubCounter(counterId) {
+        const counter = engine.findCounter(counterId);
+        if (!counter) return;
+        takeSnapshot(appState.activeProject, `Before deleting "${counter.name}"`);
+        recordUndoStep('Delete sub-counter');
+        engine.deleteSubCounter(counterId);
+    }
+
+    function restoreSubCounter(counterId) {
+        // It may have been restored already, or belong to a project that has since been closed.
+        const deleted = appState.activeProject.deletedCounters || [];
+        if (!deleted.some(entry => entry.counter.id === counterId)) return;
+        recordUndoStep('Restore sub-counter');
+        const counter = engine.restoreSubCounter(counterId);
+        if (counter) showToast(`"${counter.name}" restored.`, 'success');
+    }
+
+    // --- COUNTER TYPES --- //
+
+    // Summarises a counter's non-default settings for its card, e.g. "Counts down from 40 • 2 per tap".
+    function describeCounterType(counter) {
+        const parts = [];
+        const { lower, upper } = getCounterBounds(counter);
+        if (counter.mode === 'down' && upper !== null) parts.push(`Counts down from ${upper} to ${lower}`);
+        if (counter.step > 1) parts.push(`${counter.step} per tap`);
+        if (counter.mode !== 'down' && (counter.min !== null || upper !== null)) {
+            parts.push(upper !== null ? `${lower}–${upper}` : `From ${lower}`);
+        }
+        if (counter.wrap && upper !== null) parts.push('wraps around');
+        return parts.map(escapeHTML).join(' &bull; ');
+    }
+
+    function showCounterTypeModal(counterId) {
+        const counter = engine.findCounter(counterId);
+        if (!counter) return;
+        appState.counterTypeContext = { counterId };
+        const inputs = dom.counterTypeInputs;
+        inputs.step.value = counter.step || 1;
+        inputs.mode.value = counter.mode || 'up';
+        inputs.start.value = counter.start ?? '';
+        inputs.min.value = counter.min ?? '';
+        inputs.max.value = counter.max ?? '';
+        inputs.wrap.checked = !!counter.wrap;
+        renderCounterTypeFields();
+        showModal('counterType');
+    }
+
+    // Shows the start value only for countdowns, and the maximum only for counters going up.
+    function renderCounterTypeFields() {
+        const isCountdown = dom.counterTypeInputs.mode.value === 'down';
+        dom.counterTypeInputs.start.closest('label').hidden = !isCountdown;
+        dom.counterTypeInputs.max.closest('label').hidden = isCountdown;
+    }
+
+    // Reads the counter type fields, returning the settings or an error message.
+    function readCounterTypeInputs() {
+        const inputs = dom.counterTypeInputs;
+        const readOptional = (input) => input.value.trim() === '' ? null : Number(input.value);
+        const type = {
+            step: Number(inputs.step.value),
+            mode: inputs.mode.value === 'down' ? 'down' : 'up',
+            start: readOptional(inputs.start),
+            min: readOptional(inputs.min),
+            max: readOptional(inputs.max),
+            wrap: inputs.wrap.checked,
+        };
+        if (type.mode === 'down') type.max = null;
+        else type.start = null;
+
+        const lower = type.min ?? 0;
+        if (!Number.isInteger(type.step) || type.step < 1) return { error: 'The step must be a whole number of at least 1.' };
+        if ([type.start, type.min, type.max].some(value => value !== null && !Number.isInteger(value))) {
+            return { error: 'Bounds and start values must be whole numbers.' };
+        }
+        if (type.mode === 'down' && !(type.start > lower)) return { error: 'A countdown needs a start value above its minimum.' };
+        if (type.max !== null && type.max <= lower) return { error: 'The maximum must be above the minimum.' };
+        if (type.wrap && type.mode !== 'down' && type.max === null) return { error: 'Set a maximum to wrap around.' };
+        return { type };
+    }
+
+    // Checks a stored or imported counter has settings readCounterTypeInputs() could produce.
+    function isValidCounterType(counter) {
+        const isOptionalInteger = (value) => value === null || Number.isInteger(value);
+        return Number.isInteger(counter.step) && counter.step >= 1
+            && ['up', 'down'].includes(counter.mode)
+            && isOptionalInteger(counter.start) && isOptionalInteger(counter.min) && isOptionalInteger(counter.max)
+            && typeof counter.wrap === 'boolean';
+    }
+
+    // Applies the new settings. The value is brought within the new bounds, and a new
+    // countdown starts from the top.
+    function handleCounterTypeSave() {
+        const { type, error } = readCounterTypeInputs();
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+        updateAndSave(() => {
+            const counter = engine.findCounter(appState.counterTypeContext.counterId);
+            if (!counter) return;
+            const startsCountdown = type.mode === 'down' && (counter.mode !== 'down' || counter.start !== type.start);
+            Object.assign(counter, type);
+            counter.value = startsCountdown ? getStartValue(counter) : clampCounterValue(counter, counter.value);
+        }, 'Change counter type');
+        closeModal();
+    }
+
+    // Sets how far a counter has to go: the target when counting up, or the start of a countdown,
+    // which then begins again from the new start.
+    function setCounterGoal(counter, goal) {
+        if (counter.mode === 'down') {
+            counter.start = goal;
+            counter.value = getStartValue(counter);
+        } else {
+            counter.target = goal;
+        }
+    }
+
+    // --- MILESTONES --- //
+
+    // Alerts the user to the milestones reached by the last change: a modal (or a toast while
+    // another modal, such as the pattern viewer, is open), a sound, a vibration and a notification.
+    function announceMilestones(alerts) {
+        if (alerts.length === 0) return;
+
+        if (appState.settings.alertSound) playAlertSound();
+        if (appState.settings.alertVibrate && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+        if (appState.settings.alertNotify) sendMilestoneNotification(alerts);
+
+        if (appState.activeModal && appState.activeModal !== 'milestone') {
+            showToast(alerts.map(formatMilestoneAlert).join(' • '), 'success', 6000);
+            return;
+        }
+        appState.milestoneAlerts = appState.activeModal === 'milestone' ? [...appState.milestoneAlerts, ...alerts] : alerts;
+        showModal('milestone');
+    }
+
+    function formatMilestoneAlert(alert) {
+        return `${alert.counterName}: ${alert.title}${alert.message ? ` – ${alert.message}` : ''}`;
+    }
+
+    // Plays two short beeps. Browsers only allow audio after a user gesture, which a tap provides.
+    function playAlertSound() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        alertAudioContext = alertAudioContext || new AudioContext();
+        const now = alertAudioContext.currentTime;
+        [0, 0.25].forEach(offset => {
+            const oscillator = alertAudioContext.createOscillator();
+            const gain = alertAudioContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, now + offset);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + offset + 0.2);
+            oscillator.connect(gain).connect(alertAudioContext.destination);
+            oscillator.start(now + offset);
+            oscillator.stop(now + offset + 0.2);
+        });
+    }
+
+    // Shows a system notification through the service worker, so it also works on mobile
+    // browsers that don't allow page notifications. Does nothing without permission.
+    function sendMilestoneNotification(alerts) {
+        if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.showNotification(appState.activeProject.name, {
+                body: alerts.map(formatMilestoneAlert).join('\n'),
+                icon: '/icons/icon-192.png',
+                tag: 'milestone',
+                renotify: true,
+            }))
+            .catch(error => console.error('Failed to show notification:', error));
+    }
+
+    // Turns system notifications on or off, asking the browser for permission when turning them on.
+    async function toggleAlertNotifications(enabled) {
+        if (enabled) {
+            const permission = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+            if (permission !== 'granted') {
+                enabled = false;
+                showToast('Notifications are blocked for this site.', 'error');
+            }
+        }
+        appState.settings.alertNotify = enabled;
+        dom.alertNotifyToggle.checked = enabled;
+        saveSettings();
+    }
+
+    function renderMilestoneAlerts() {
+        dom.milestoneAlertList.innerHTML = appState.milestoneAlerts.map(alert => `
+            <li class="p-3 rounded-md bg-violet-100 dark:bg-violet-900/50">
+                <p class="font-semibold">${escapeHTML(alert.counterName)}: ${escapeHTML(alert.title)}</p>
+                ${alert.message ? `<p class="text-violet-700 dark:text-violet-300">${escapeHTML(alert.message)}</p>` : ''}
+            </li>
+        `).join('');
+    }
+
+    // Describes a milestone for the list on its counter, e.g. "At 24: switch to colour B".
+    function describeMilestone(milestone) {
+        const label = {
+            target: 'At target',
+            every: `Every ${milestone.value}`,
+            at: `At ${milestone.value}`,
+        }[milestone.kind];
+        return milestone.message ? `${label}: ${milestone.message}` : label;
+    }
+
+    // Checks a stored or imported milestone has the shape handleMilestoneAdd() produces.
+    function isValidMilestone(milestone) {
+        if (!milestone || typeof milestone.id !== 'string' || typeof milestone.message !== 'string') return false;
+        if (milestone.kind === 'target') return milestone.value === null;
+        if (milestone.kind === 'every') return Number.isInteger(milestone.value) && milestone.value >= 1;
+        return milestone.kind === 'at' && Number.isInteger(milestone.value);
+    }
+
+    function showAddMilestoneModal(counterId) {
+        appState.milestoneContext = { counterId };
+        dom.milestoneKindSelect.value = 'target';
+        dom.milestoneValueInput.value = '';
+        dom.milestoneMessageInput.value = '';
+        renderMilestoneFields();
+        showModal('addMilestone');
+    }
+
+    // Hides the value field for target milestones, which take the counter's own target.
+    function renderMilestoneFields() {
+        const kind = dom.milestoneKindSelect.value;
+        dom.milestoneValueInput.closest('label').hidden = kind === 'target';
+        dom.milestoneValueInput.placeholder = kind === 'every' ? 'e.g. 10' : 'e.g. 24';
+    }
+
+    function handleMilestoneAdd() {
+        const kind = dom.milestoneKindSelect.value;
+        const value = kind === 'target' ? null : Number(dom.milestoneValueInput.value);
+        if (kind === 'every' && !(Number.isInteger(value) && value >= 1)) {
+            showToast('Enter how often to alert, as a whole number.', 'error');
+            return;
+        }
+        if (kind === 'at' && (dom.milestoneValueInput.value.trim() === '' || !Number.isInteger(value))) {
+            showToast('Enter the value to alert at, as a whole number.', 'error');
+            return;
+        }
+        updateAndSave(() => {
+            const counter = engine.findCounter(appState.milestoneContext.counterId);
+            if (!counter) return;
+            counter.milestones.push({
+                id: `milestone-${Date.now()}`,
+                kind,
+                value,
+                message: dom.milestoneMessageInput.value.trim(),
+            });
+        }, 'Add milestone');
+        closeModal();
+    }
+
+    function deleteMilestone(counterId, milestoneId) {
+        updateAndSave(() => {
+            const counter = engine.findCounter(counterId);
+            if (counter) counter.milestones = counter.milestones.filter(m => m.id !== milestoneId);
+        }, 'Delete milestone');
+    }
+
+    // --- TIMER LOGIC --- //
+
+    // Starts the main timer interval.
+    function startProjectTimer() {
+        clearInterval(projectTimerInterval);
+        projectTimerInterval = setInterval(updateTimer, 1000);
+    }
+    
+    // Updates the elapsed time for the active project.
+    // The engine's 'tick' event re-renders the timer display.
+    function updateTimer() {
+        const timer = appState.activeProject?.timer;
+        if (!timer || timer.isPaused) return;
+        engine.tick();
+
+        const idleLimitMs = appState.settings.idlePauseMinutes * 60000;
+        if (idleLimitMs > 0 && Date.now() - lastActivityAt >= idleLimitMs) {
+            autoPauseTimer('idle');
+        }
+    }
+
+    // Toggles the paused state of the project timer.
+    function toggleTimerPause() {
+        if (appState.autoPause) {
+            resumeAfterAutoPause();
+            return;
+        }
+        const paused = !appState.activeProject.timer.isPaused;
+        if (!paused) lastActivityAt = Date.now();
+        recordUndoStep('Pause/resume timer');
+        engine.setPaused(paused);
+    }
+
+    // --- IDLE DETECTION --- //
+
+    // Counter taps show the user is working: restart the idle clock, and resume a timer
+    // that paused itself for lack of activity.
+    function noteCounterActivity() {
+        lastActivityAt = Date.now();
+        if (appState.autoPause && appState.autoPause.reason === 'idle') resumeAfterAutoPause();
+    }
+
+    // Pauses a running timer on its own: after the idle period, or when the app is hidden.
+    // Idle time already counted since the last activity is taken back out and held, so
+    // resuming can offer to keep it.
+    function autoPauseTimer(reason) {
+        const timer = appState.activeProject?.timer;
+        if (!timer || timer.isPaused) return;
+        const now = Date.now();
+        const heldMs = reason === 'idle' ? Math.min(now - lastActivityAt, timer.totalElapsedMs) : 0;
+
+        timer.totalElapsedMs -= heldMs;
+        if (engine.session) {
+            engine.session.durationMs = Math.max(0, engine.session.durationMs - heldMs);
+        }
+        engine.setPaused(true); // Left out of undo history, as the app did it on its own
+        appState.autoPause = { reason, pausedAt: now, heldMs };
+
+        if (reason === 'idle') {
+            showToast(`Timer paused after ${appState.settings.idlePauseMinutes} min without counting.`, 'info', 6000);
+        }
+    }
+
+    // Restarts an automatically paused timer. The time away is left out, with an offer to keep
+    // it (e.g. for a long row worked without tapping, or a pattern read in another app).
+    function resumeAfterAutoPause() {
+        const pause = appState.autoPause;
+        appState.autoPause = null;
+        const project = appState.activeProject;
+        if (!pause || !project || !project.timer.isPaused) return;
+
+        const now = Date.now();
+        const awayMs = pause.heldMs + (now - pause.pausedAt);
+        engine.setPaused(false);
+        lastActivityAt = now;
+
+        if (awayMs < IDLE_KEEP_SILENTLY_MS) {
+            keepIdleTime(project, now - awayMs, awayMs, null);
+        } else {
+            const label = pause.reason === 'idle' ? 'idle' : 'away';
+            showToast(`Timer resumed. ${formatDuration(awayMs)} ${label} left out.`, 'info', 8000, {
+                label: 'Keep it',
+                onClick: () => keepIdleTime(project, now - awayMs, awayMs, 'Keep idle time'),
+            });
+        }
+    }
+
+    // Adds time left out by an automatic pause back to the timer. It extends the work session
+    // the pause interrupted, or becomes a session of its own after a longer break.
+    function keepIdleTime(project, start, durationMs, undoLabel) {
+        if (appState.activeProject !== project) return;
+        updateAndSave(() => {
+            project.timer.totalElapsedMs += durationMs;
+            const end = start + durationMs;
+            const later = project.sessions.findIndex(s => s.start >= end);
+            const index = later === -1 ? project.sessions.length : later;
+            const interrupted = project.sessions[index - 1];
+            if (interrupted && start - interrupted.end < SESSION_GAP_MS) {
+                interrupted.durationMs += durationMs;
+                interrupted.end = end;
+            } else {
+                project.sessions.splice(index, 0, { start, end, durationMs, increments: {} });
+            }
+        }, undoLabel);
+    }
+
+    // Pauses the timer when the app goes into the background (if enabled) and resumes it on return.
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            if (appState.settings.pauseWhenHidden && !appState.autoPause) {
+                updateTimer(); // Count the time up to now first
+                autoPauseTimer('hidden');
+            }
+        } else if (appState.autoPause && appState.autoPause.reason === 'hidden') {
+            resumeAfterAutoPause();
+        }
+    }
+
+    // --- RENDERING --- //
+
+    // Main render function to update the entire UI based on the current state.
+    function render() {
+        if (!appState.activeProject) return;
+        
+        dom.projectName.value = appState.activeProject.name;
+        dom.projectNotes.value = appState.activeProject.notes;
+        dom.projectPatternUrl.value = appState.activeProject.patternUrl;
+        dom.projectStatus.value = appState.activeProject.status;
+        // Tags are only parsed on change, so leave the field alone while it is being typed in.
+        if (document.activeElement !== dom.projectTags) {
+            dom.projectTags.value = appState.activeProject.tags.join(', ');
+        }
+        
+        renderInstructions();
+        renderMaterials();
+        renderAttachments();
+        renderMainCounter();
+        renderSubCounters();
+        renderTimer();
+        renderSaveButton();
+        renderUndoButtons();
+        renderModals();
+    }
+
+    // Shows the pattern instruction for the main counter's current row, with the rows either side.
+    function renderInstructions() {
+        const project = appState.activeProject;
+        const instructions = project.instructions || [];
+
+        if (instructions.length === 0) {
+            dom.instructionsContainer.innerHTML = `
+                <button data-action="edit-instructions" class="w-full text-center py-3 px-4 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700 hover:border-gray-400 dark:hover:border-gray-500 transition">
+                    + Add Pattern Instructions
+                </button>
+            `;
+            return;
+        }
+
+        const row = project.mainCounter.value;
+        const rowName = project.mainCounter.name;
+        const current = findInstruction(instructions, row);
+
+        // Before the first row is counted, point at the first instruction instead.
+        const currentHTML = current
+            ? createInstructionLineHTML(current, row, rowName, 'text-lg font-semibold text-violet-600 dark:text-violet-400', true)
+            : `<p class="text-lg text-gray-500">${row < instructions[0].from ? 'Not started yet' : `No instruction for ${escapeHTML(rowName)} ${row}`}</p>`;
+        const previous = row > 1 ? findInstruction(instructions, row - 1) : null;
+        const next = findInstruction(instructions, row + 1);
+
+        dom.instructionsContainer.innerHTML = `
+            <div class="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-md space-y-1">
+                <div class="flex items-center justify-between mb-1">
+                    <h3 class="text-sm font-medium text-gray-500 dark:text-gray-400">Pattern</h3>
+                    <button data-action="edit-instructions" class="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200">Edit</button>
+                </div>
+                ${previous ? createInstructionLineHTML(previous, row - 1, rowName, 'text-sm text-gray-500 truncate') : ''}
+                ${currentHTML}
+                ${next ? createInstructionLineHTML(next, row + 1, rowName, 'text-sm text-gray-500 truncate') : ''}
+            </div>
+        `;
+    }
+
+    // Renders the yarns, hooks or needles and gauge of the active project.
+    function renderMaterials() {
+        // Rebuilding the fields would drop the cursor, so leave them alone while one is being typed in.
+        if (dom.materialsContainer.contains(document.activeElement) && isTypingTarget(document.activeElement)) return;
+
+        const { yarns, hooks, gauge } = appState.activeProject.materials;
+        const addButtonClasses = 'text-sm text-violet-600 dark:text-violet-400 hover:underline';
+
+        dom.materialsContainer.innerHTML = `
+            <h3 class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Materials</h3>
+            <div class="space-y-3">
+                <div class="space-y-2">
+                    ${yarns.map(createYarnHTML).join('')}
+                    <button data-action="add-material" data-material="yarns" class="${addButtonClasses}">+ Add Yarn</button>
+                </div>
+                <div class="space-y-2">
+                    ${hooks.map(createHookHTML).join('')}
+                    <button data-action="add-material" data-material="hooks" class="${addButtonClasses}">+ Add Hook or Needles</button>
+                </div>
+                <div class="flex flex-wrap items-center gap-2 text-sm">
+                    <span class="font-medium text-gray-500 dark:text-gray-400">Gauge</span>
+                    ${createMaterialInputHTML('gauge', null, 'stitches', gauge.stitches, 'Stitches', 'number', 'w-20')}
+                    <span class="text-gray-500 dark:text-gray-400">sts &times;</span>
+                    ${createMaterialInputHTML('gauge', null, 'rows', gauge.rows, 'Rows', 'number', 'w-20')}
+                    <span class="text-gray-500 dark:text-gray-400">rows per 10 cm</span>
+                    <button data-action="show-sizing" class="${addButtonClasses}">Sizing Calculator</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Generates the fields for one yarn.
+    function createYarnHTML(yarn) {
+        return `
+            <div class="relative grid grid-cols-2 sm:grid-cols-4 gap-2 p-3 pr-8 bg-white/60 dark:bg-gray-800/50 rounded-lg text-sm">
+                ${createMaterialInputHTML('yarns', yarn.id, 'brand', yarn.brand, 'Brand')}
+                ${createMaterialInputHTML('yarns', yarn.id, 'colourway', yarn.colourway, 'Colourway')}
+                ${createMaterialInputHTML('yarns', yarn.id, 'weight', yarn.weight, 'Weight (e.g. DK)')}
+                ${createMaterialInputHTML('yarns', yarn.id, 'fibre', yarn.fibre, 'Fibre')}
+                ${createMaterialInputHTML('yarns', yarn.id, 'yardage', yarn.yardage, 'Yards per skein', 'number')}
+                ${createMaterialInputHTML('yarns', yarn.id, 'skeins', yarn.skeins, 'Skeins owned', 'number')}
+                ${createMaterialInputHTML('yarns', yarn.id, 'dyeLot', yarn.dyeLot, 'Dye lot')}
+                ${createRemoveMaterialHTML('yarns', yarn.id, 'Remove yarn')}
+            </div>
+        `;
+    }
+
+    // Generates the fields for one hook or pair of needles.
+    function createHookHTML(hook) {
+        return `
+            <div class="relative flex items-center gap-2 p-3 pr-8 bg-white/60 dark:bg-gray-800/50 rounded-lg text-sm">
+                <select data-material="hooks" data-id="${hook.id}" data-field="kind" class="p-1 rounded-md bg-transparent focus:bg-white dark:focus:bg-gray-800 focus:ring-2 focus:ring-violet-500 outline-none">
+                    <option value="hook" ${hook.kind === 'hook' ? 'selected' : ''}>Hook</option>
+                    <option value="needles" ${hook.kind === 'needles' ? 'selected' : ''}>Needles</option>
+                </select>
+                ${createMaterialInputHTML('hooks', hook.id, 'size', hook.size, 'Size (e.g. 4.0 mm)')}
+                ${createRemoveMaterialHTML('hooks', hook.id, 'Remove')}
+            </div>
+        `;
+    }
+
+    // Generates a single materials field. Empty values show the placeholder.
+    function createMaterialInputHTML(list, id, field, value, placeholder, type = 'text', widthClass = 'w-full') {
+        return `
+            <input type="${type}" ${type === 'number' ? 'min="0" step="any"' : ''} value="${escapeHTML(value ?? '')}" placeholder="${placeholder}" title="${placeholder}"
+                   data-material="${list}" ${id ? `data-id="${id}"` : ''} data-field="${field}"
+                   class="${widthClass} p-1 rounded-md bg-transparent focus:bg-white dark:focus:bg-gray-800 focus:ring-2 focus:ring-violet-500 outline-none">
+        `;
+    }
+
+    function createRemoveMaterialHTML(list, id, title) {
+        return `
+            <button data-action="remove-material" data-material="${list}" data-id="${id}" title="${title}" class="absolute top-2 right-2 p-1 rounded-full text-gray-500 hover:bg-red-500/10 hover:text-red-500">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="3"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" /></svg>
+            </button>
+        `;
+    }
+
+    // Generates one line of the instructions panel. The current row keeps the pattern's own
+    // label and shows its position within a range; neighbouring rows are labelled by number.
+    function createInstructionLineHTML(instruction, row, rowName, classes, isCurrent = false) {
+        const isRange = instruction.to > instruction.from;
+        const label = isCurrent
+            ? instruction.label || `${rowName} ${row}`
+            : `${rowName} ${row}`;
+        const position = isCurrent && isRange
+            ? ` <span class="text-xs font-normal text-gray-500">(${rowName} ${row}, ${row - instruction.from + 1} of ${instruction.to - instruction.from + 1})</span>`
+            : '';
+        return `<p class="${classes}"><span class="font-mono">${escapeHTML(label)}:</span> ${escapeHTML(instruction.text)}${position}</p>`;
+    }
+
+    function renderMainCounter() {
+        const counter = appState.activeProject.mainCounter;
+        dom.mainCounterContainer.innerHTML = createCounterHTML(counter, true);
+        dom.mainCounterContainer.classList.toggle('ring-2', isCounterSelected(counter));
+        dom.mainCounterContainer.classList.toggle('ring-violet-500', isCounterSelected(counter));
+    }
+
+    function renderSubCounters() {
+        const counters = appState.activeProject.subCounters;
+        dom.subCountersContainer.innerHTML = counters.map(c => createCounterHTML(c, false)).join('');
+        renderDeletedCounters();
+    }
+
+    // Redraws what a counter step changes, leaving the other counters alone: the counter and the
+    // parents it rolls over into, the pattern instructions when the main counter moved, and the buttons.
+    function renderCounterChange(counterId) {
+        for (let counter = engine.findCounter(counterId); counter; counter = engine.findParentCounter(counter)) {
+            renderCounter(counter);
+            if (counter.id === 'main') renderInstructions();
+        }
+        renderSaveButton();
+        renderUndoButtons();
+        if (appState.activeModal) renderModals();
+    }
+
+    // Replaces a single counter's card.
+    function renderCounter(counter) {
+        if (counter.id === 'main') {
+            renderMainCounter();
+            return;
+        }
+        const card = dom.subCountersContainer.querySelector(`[data-counter-id="${counter.id}"]`);
+        if (card) card.outerHTML = createCounterHTML(counter, false);
+    }
+
+    // Lists the sub-counters deleted within the trash period, with a button to restore each.
+    function renderDeletedCounters() {
+        const deleted = appState.activeProject.deletedCounters || [];
+        dom.deletedCounters.hidden = deleted.length === 0;
+        dom.deletedCounters.innerHTML = deleted.length === 0 ? '' : `
+            <p class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Recently deleted</p>
+            ${deleted.map(({ counter, deletedAt }) => `
+                <div class="flex items-center justify-between py-1 text-sm">
+                    <div class="min-w-0">
+                        <span class="font-medium">${escapeHTML(counter.name)}</span>
+                        <span class="text-gray-500 dark:text-gray-400">at ${counter.value}</span>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">${describeTrashEntry(deletedAt)}</p>
+                    </div>
+                    <button data-action="restore-sub-counter" data-id="${counter.id}" class="px-3 py-1 bg-gray-200 dark:bg-gray-700 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600">Restore</button>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    function renderTimer() {
+        const timer = appState.activeProject.timer;
+        const showTimer = appState.settings.showTimer;
+
+        dom.projectTimer.hidden = !showTimer;
+        if (!showTimer) return;
+        
+        dom.timerDisplay.textContent = formatTime(timer.totalElapsedMs);
+        dom.timerPauseBtn.innerHTML = timer.isPaused
+            ? `<svg xmlns="http://www.w.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" /></svg>`
+            : `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg>`;
+    }
+
+    // Updates the save button's text and disabled state.
+    function renderSaveButton() {
+        const project = appState.activeProject;
+        if (!project.id) {
+            // Unsaved project
+            dom.saveProjectBtn.textContent = 'Save to Device';
+            dom.saveProjectBtn.disabled = false;
+        } else {
+            // For saved projects, always show as Saved
+            dom.saveProjectBtn.textContent = 'Saved';
+            dom.saveProjectBtn.disabled = true;
+        }
+    }
+    
+    // Enables the Undo/Redo buttons when there is something to undo or redo.
+    function renderUndoButtons() {
+        const lastUndo = appState.undoStack[appState.undoStack.length - 1];
+        const lastRedo = appState.redoStack[appState.redoStack.length - 1];
+
+        dom.undoBtn.disabled = !lastUndo;
+        dom.undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        dom.redoBtn.disabled = !lastRedo;
+        dom.redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Applies the light or dark theme from settings, resolving "system" from the device preference.
+    function applyTheme() {
+        const { theme } = appState.settings;
+        const isDark = theme === 'dark' || (theme === 'system' && darkSchemeQuery.matches);
+        document.documentElement.classList.toggle('dark', isDark);
+        document.querySelector('meta[name="theme-color"]').setAttribute('content', isDark ? THEME_COLORS.dark : THEME_COLORS.light);
+    }
+    
+    // Renders the filter controls and the matching saved projects in the projects modal.
+    function renderProjectsList() {
+        const { text, tag, showClosed, sortBy } = appState.projectQuery;
+        // Leave the search box alone while it is being typed in.
+        if (document.activeElement !== dom.projectSearch) {
+            dom.projectSearch.value = text;
+        }
+        dom.projectSort.value = sortBy;
+        dom.showClosedToggle.checked = showClosed;
+        renderTrash();
+
+        const tagFilterHTML = tag ? `
+            <div class="flex items-center text-sm text-gray-500 dark:text-gray-400">
+                <span>Tagged</span>
+                <button data-action="clear-tag-filter" class="ml-2 inline-flex items-center px-2 py-0.5 rounded-full bg-violet-100 text-violet-700 dark:bg-violet-900/50 dark:text-violet-300 hover:bg-violet-200 dark:hover:bg-violet-900" title="Clear tag filter">
+                    ${escapeHTML(tag)} <span class="ml-1">&times;</span>
+                </button>
+            </div>
+        ` : '';
+
+        if (appState.savedProjects.length === 0) {
+            const message = text || tag ? 'No matching projects.' : showClosed ? 'No projects saved yet.' : 'No active or paused projects.';
+            dom.projectsList.innerHTML = tagFilterHTML + `<p class="text-center text-gray-500 dark:text-gray-400 py-4">${message}</p>`;
+            return;
+        }
+        
+        dom.projectsList.innerHTML = tagFilterHTML + appState.savedProjects.map(p => {
+            const status = STATUS_STYLES[p.status] || STATUS_STYLES.active;
+            const { value, target } = p.mainCounter;
+            const progressText = target > 0 ? `${value}/${target} (${Math.round(getProjectProgress(p) * 100)}%)` : value;
+            const tagsHTML = p.tags.map(t => `
+                <button data-action="filter-tag" data-tag="${escapeHTML(t)}" class="px-2 py-0.5 rounded-full text-xs bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600">${escapeHTML(t)}</button>
+            `).join('');
+            return `
+            <div class="flex items-center justify-between p-3 rounded-md hover:bg-gray-200 dark:hover:bg-gray-700">
+                <div class="min-w-0">
+                    <p class="font-semibold">
+                        ${escapeHTML(p.name)}
+                        <span class="ml-1 px-2 py-0.5 rounded-full text-xs font-medium align-middle ${status.classes}">${status.label}</span>
+                    </p>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">
+                        ${escapeHTML(p.mainCounter.name)}: ${progressText} &bull; ${formatDuration(p.timer.totalElapsedMs)} &bull; Last modified: ${new Date(p.lastModified).toLocaleDateString()}
+                    </p>
+                    ${tagsHTML ? `<div class="flex flex-wrap gap-1 mt-1">${tagsHTML}</div>` : ''}
+                </div>
+                <div class="flex items-center space-x-2">
+                    <button data-action="load-project" data-id="${p.id}" class="px-3 py-1 text-sm bg-violet-600 text-white rounded-md hover:bg-violet-700">Load</button>
+                    <button data-action="delete-project" data-id="${p.id}" data-name="${escapeHTML(p.name)}" class="p-2 rounded-full text-gray-500 hover:bg-red-500/10 hover:text-red-500">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    // Generates the HTML string for a single counter.
+    function createCounterHTML(counter, isMain) {
+        const isCountdown = counter.mode === 'down';
+        const showTarget = appState.settings.showTimer && !isCountdown && (counter.target !== null && counter.target > 0);
+        const targetHTML = `
+            <span class="text-2xl text-gray-500">/</span>
+            <input type="number" min="0" value="${counter.target || ''}" placeholder="Target" data-property="target" data-id="${counter.id}" 
+                   class="bg-transparent text-2xl w-24 text-center focus:bg-gray-200 dark:focus:bg-gray-700 rounded-md p-1 -m-1">
+        `;
+        
+        const eta = appState.settings.showTimer ? engine.calculateETA(counter.id) : null;
+        const etaHTML = eta ? `<p class="text-xs text-center text-violet-600 dark:text-violet-400 font-medium mt-1">${eta}</p>` : '';
+        const typeSummary = describeCounterType(counter);
+        const typeHTML = typeSummary ? `<p class="text-xs text-center text-gray-500 dark:text-gray-400 mt-1">${typeSummary}</p>` : '';
+
+        const linkHTML = isMain ? '' : createLinkSelectHTML(counter);
+        const planHTML = isMain ? '' : createPlanHTML(counter);
+        const milestonesHTML = createMilestonesHTML(counter);
+
+        const deleteBtnHTML = isMain ? '' : `
+            <button data-action="delete-sub-counter" data-id="${counter.id}" class="absolute -top-2 -right-2 p-1 bg-gray-300 dark:bg-gray-600 rounded-full text-gray-600 dark:text-gray-300 hover:bg-red-500 hover:text-white transition">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="3"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" /></svg>
+            </button>
+        `;
+
+        const containerClasses = isMain 
+            ? 'flex flex-col items-center'
+            : `relative bg-white dark:bg-gray-800 p-4 rounded-xl shadow-md flex flex-col items-center ${isCounterSelected(counter) ? 'ring-2 ring-violet-500' : ''}`;
+            
+        const nameInputClasses = isMain
+            ? 'font-semibold text-xl text-center'
+            : 'font-medium w-full text-center';
+
+        const counterDisplayHTML = `
+            <div class="flex items-baseline justify-center font-mono font-bold text-violet-600 dark:text-violet-400">
+                <span class="counter-value">${counter.value}</span>
+                ${showTarget ? targetHTML : ''}
+            </div>
+            ${typeHTML}
+            ${etaHTML}
+            <div class="flex flex-col md:flex-row items-center justify-center space-y-2 md:space-y-0 md:space-x-4 mt-2">
+                 <button data-action="reset" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200">Reset</button>
+                 <button data-action="counter-type" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200">Counter Type</button>
+                 <button data-action="add-milestone" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200">Add Milestone</button>
+                 ${appState.settings.showTimer && !isCountdown ? `<button data-action="toggle-target" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200">${counter.target ? 'Remove Target' : 'Set Target'}</button>` : ''}
+                 ${isMain ? '' : `<button data-action="plan-shaping" data-id="${counter.id}" class="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200">${counter.plan ? 'Edit Plan' : 'Plan Inc/Dec'}</button>`}
+            </div>
+        `;
+
+        return `
+            <div class="${containerClasses}" data-counter-id="${counter.id}">
+                ${deleteBtnHTML}
+                <div class="${isMain ? 'w-full text-center' : 'flex-grow w-full'}">
+                    <input type="text" value="${counter.name}" data-property="name" data-id="${counter.id}"
+                           class="bg-transparent ${nameInputClasses} w-full focus:bg-gray-200 dark:focus:bg-gray-700 rounded-md p-1 -m-1">
+                    ${linkHTML}
+                </div>
+                <div class="flex items-center justify-center space-x-2 my-2">
+                    <button data-action="decrement" data-id="${counter.id}" class="w-16 h-16 md:w-20 md:h-20 text-4xl font-light rounded-full bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition">${isCountdown ? '+' : '-'}</button>
+                    <div class="text-center">
+                        ${counterDisplayHTML}
+                    </div>
+                    <button data-action="increment" data-id="${counter.id}" class="w-16 h-16 md:w-20 md:h-20 text-4xl font-light rounded-full bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition">${isCountdown ? '-' : '+'}</button>
+                </div>
+                ${planHTML}
+                ${milestonesHTML}
+            </div>
+        `;
+    }
+
+    // Generates the list of a counter's milestones, each with a remove button.
+    function createMilestonesHTML(counter) {
+        if (counter.milestones.length === 0) return '';
+        const items = counter.milestones.map(milestone => `
+            <li class="flex items-center justify-between space-x-2">
+                <span>${escapeHTML(describeMilestone(milestone))}</span>
+                <button data-action="delete-milestone" data-id="${counter.id}" data-milestone-id="${milestone.id}" title="Remove milestone" class="text-gray-400 hover:text-red-500">&times;</button>
+            </li>
+        `).join('');
+        return `
+            <ul class="w-full mt-2 p-2 rounded-md bg-gray-100 dark:bg-gray-700/50 text-sm text-gray-600 dark:text-gray-300 space-y-1">
+                ${items}
+            </ul>
+        `;
+    }
+
+    // Generates the walkthrough of a counter's increase/decrease plan: the sequence with the
+    // current group highlighted, and the repeat and stitch the counter is on.
+    function createPlanHTML(counter) {
+        const { plan } = counter;
+        if (!plan) return '';
+
+        const position = findPlanPosition(plan, counter.value);
+        const sequenceHTML = plan.steps.map((step, i) => {
+            const text = escapeHTML(formatPlanStep(step, plan));
+            return position && i === position.groupIndex
+                ? `<span class="font-semibold text-violet-600 dark:text-violet-400">${text}</span>`
+                : text;
+        }).join(', ');
+
+        const statusHTML = position
+            ? `Repeat ${position.repeat} of ${position.totalRepeats} &bull; stitch ${position.stitch} of ${position.repeatLength} &bull; next: <span class="font-semibold">${escapeHTML(position.next)}</span>`
+            : `Done: ${plan.to} stitches`;
+
+        return `
+            <div class="w-full mt-2 p-2 rounded-md bg-gray-100 dark:bg-gray-700/50 text-sm text-center">
+                <p class="font-mono">${sequenceHTML}</p>
+                <p class="text-gray-500 dark:text-gray-400 mt-1">${statusHTML}</p>
+            </div>
+        `;
+    }
+
+    // Generates the "rolls into" selector for a sub-counter. Counters that already roll
+    // into this one (directly or further down the chain) are left out to prevent cycles.
+    function createLinkSelectHTML(counter) {
+        const project = appState.activeProject;
+        const candidates = [project.mainCounter, ...project.subCounters]
+            .filter(c => c.id !== counter.id && !engine.isDescendantOf(c, counter.id));
+
+        const options = candidates.map(c => `
+            <option value="${c.id}" ${c.id === counter.parentId ? 'selected' : ''}>${escapeHTML(c.name)}</option>
+        `).join('');
+
+        const parent = engine.findParentCounter(counter);
+        const cycle = getCounterCycle(counter);
+        const hint = counter.parentId && !cycle
+            ? 'Set a target to roll over'
+            : parent ? `${counter.wrap && counter.mode !== 'down' ? `Wraps after ${getLastInCycle(counter)}` : `Resets at ${cycle.end}`} and adds 1 to "${escapeHTML(parent.name)}"` : '';
+
+        return `
+            <div class="flex items-center justify-center space-x-2 mt-1 text-sm text-gray-500">
+                <label for="link-${counter.id}">Rolls into</label>
+                <select id="link-${counter.id}" data-property="parentId" data-id="${counter.id}"
+                        class="bg-transparent focus:bg-gray-200 dark:focus:bg-gray-700 rounded-md p-1 text-gray-500 dark:text-gray-400">
+                    <option value="">Nothing</option>
+                    ${options}
+                </select>
+            </div>
+            ${hint ? `<p class="text-xs text-center text-gray-500">${hint}</p>` : ''}
+        `;
+    }
+
+    // --- MODAL & NOTIFICATION MANAGEMENT --- //
+
+    function showModal(modalName) {
+        appState.activeModal = modalName;
+        renderModals();
+    }
+    
+    function closeModal() {
+        appState.activeModal = null;
+        // A key binding waiting for its key is abandoned along with Settings.
+        appState.bindingCapture = null;
+        renderModals();
+    }
+    
+    // Opens the instructions editor with the project's instructions as editable text.
+    // The textarea is filled here rather than in renderModals so re-renders don't clobber typing.
+    function showInstructionsModal() {
+        dom.instructionsInput.value = instructionsToText(appState.activeProject.instructions || []);
+        showModal('instructions');
+        dom.instructionsInput.focus();
+    }
+
+    function handleInstructionsSave() {
+        const instructions = parseInstructions(dom.instructionsInput.value);
+        updateAndSave(() => {
+            appState.activeProject.instructions = instructions;
+        }, 'Edit instructions');
+        closeModal();
+    }
+
+    function showConfirmation(context) {
+        appState.confirmationContext = context;
+        showModal('confirm');
+    }
+
+    function renderModals() {
+        const activeModal = appState.activeModal;
+        dom.modalContainer.hidden = !activeModal;
+
+        Object.values(dom.modals).forEach(modal => modal.hidden = true);
+        
+        if (activeModal && dom.modals[activeModal]) {
+            dom.modals[activeModal].hidden = false;
+        }
+
+        if (activeModal === 'confirm') {
+            dom.confirmTitle.textContent = appState.confirmationContext.title;
+            dom.confirmMessage.textContent = appState.confirmationContext.message;
+        }
+
+        if (activeModal === 'settings') {
+            dom.showTimerToggle.checked = appState.settings.showTimer;
+            dom.idlePauseSelect.value = String(appState.settings.idlePauseMinutes);
+            dom.hiddenPauseToggle.checked = appState.settings.pauseWhenHidden;
+            dom.trashDaysSelect.value = String(appState.settings.trashDays);
+            dom.alertSoundToggle.checked = appState.settings.alertSound;
+            dom.alertVibrateToggle.checked = appState.settings.alertVibrate;
+            dom.alertNotifyToggle.checked = appState.settings.alertNotify;
+            dom.themeSelect.value = appState.settings.theme;
+            renderKeyBindings();
+        } else if (activeModal === 'setTarget') {
+            const { counterId, currentValue, message } = appState.setTargetContext;
+            dom.setTargetMessage.textContent = message;
+            dom.setTargetInput.value = currentValue;
+            dom.setTargetInput.dataset.id = counterId; // Store counterId on the input for easy access
+        } else if (activeModal === 'projects') {
+            renderProjectsList();
+        } else if (activeModal === 'importBackup') {
+            renderImportPreview();
+        } else if (activeModal === 'stats') {
+            renderStats();
+        } else if (activeModal === 'history') {
+            renderHistory();
+        } else if (activeModal === 'shareImport') {
+            renderShareImportPreview();
+        } else if (activeModal === 'newProject') {
+            renderTemplatePicker();
+        } else if (activeModal === 'milestone') {
+            renderMilestoneAlerts();
+        } else if (activeModal === 'viewer') {
+            renderViewer();
+        }
+
+        if (activeModal !== 'viewer') {
+            releaseViewer();
+        }
+    }
+
+    // Shows a transient message. An optional action ({ label, onClick }) adds a button to the toast.
+    function showToast(message, type = 'info', duration = 3000, action = null) {
+        appState.toast = { message, type, visible: true, action };
+        renderToast();
+
+        clearTimeout(toastTimeout);
+        toastTimeout = setTimeout(hideToast, duration);
+    }
+
+    function hideToast() {
+        appState.toast.visible = false;
+        renderToast();
+    }
+
+    function renderToast() {
+        const { message, type, visible, action } = appState.toast;
+        const toastElement = dom.toastContainer;
+
+        if (visible) {
+            const bgColor = {
+                info: 'bg-gray-800 dark:bg-gray-700',
+                success: 'bg-green-600',
+                error: 'bg-red-600'
+            }[type];
+            toastElement.textContent = message;
+            if (action) {
+                const actionButton = document.createElement('button');
+                actionButton.dataset.action = 'toast-action';
+                actionButton.textContent = action.label;
+                actionButton.className = 'ml-4 font-semibold underline underline-offset-2 hover:no-underline';
+                toastElement.appendChild(actionButton);
+            }
+            toastElement.className = `fixed bottom-5 left-1/2 -translate-x-1/2 px-6 py-3 rounded-full text-white shadow-lg animate-slide-up-fast ${bgColor}`;
+            toastElement.hidden = false;
+        } else {
+            toastElement.hidden = true;
+        }
+    }
+
+    // --- EVENT LISTENERS & HANDLERS --- //
+
+    function registerEventListeners() {
+        engine.on('change', handleEngineChange);
+        engine.on('tick', renderTimer);
+        dom.projectName.addEventListener('input', (e) => updateProjectProperty('name', e.target.value));
+        dom.projectNotes.addEventListener('input', (e) => updateProjectProperty('notes', e.target.value));
+        dom.projectPatternUrl.addEventListener('input', (e) => updateProjectProperty('patternUrl', e.target.value));
+        dom.projectStatus.addEventListener('change', (e) => updateProjectProperty('status', e.target.value));
+        dom.projectTags.addEventListener('change', (e) => updateProjectProperty('tags', parseTags(e.target.value)));
+        dom.materialsContainer.addEventListener('input', handleMaterialInput);
+        dom.modals.sizing.addEventListener('input', renderSizingResult);
+        dom.modals.planner.addEventListener('input', renderPlannerPreview);
+        dom.counterTypeInputs.mode.addEventListener('change', renderCounterTypeFields);
+        dom.milestoneKindSelect.addEventListener('change', renderMilestoneFields);
+        dom.attachmentFileInput.addEventListener('change', handleAttachmentFiles);
+        dom.viewerStage.addEventListener('pointerdown', handleViewerPointerDown);
+        dom.viewerStage.addEventListener('pointermove', handleViewerPointerMove);
+        dom.viewerStage.addEventListener('pointerup', handleViewerPointerUp);
+        dom.viewerStage.addEventListener('pointercancel', handleViewerPointerUp);
+        dom.viewerStage.addEventListener('wheel', handleViewerWheel, { passive: false });
+        dom.highlighterToggle.addEventListener('change', (e) => updateHighlighter({ visible: e.target.checked }));
+        dom.highlighterFollowToggle.addEventListener('change', (e) => {
+            // Anchor the bar where it is now, at the current row.
+            const highlighter = getViewedAttachment().highlighter;
+            updateHighlighter({ follow: e.target.checked, top: getHighlighterTop(highlighter), row: appState.activeProject.mainCounter.value });
+        });
+        dom.highlighterDirection.addEventListener('change', (e) => {
+            const highlighter = getViewedAttachment().highlighter;
+            updateHighlighter({ direction: e.target.value, top: getHighlighterTop(highlighter), row: appState.activeProject.mainCounter.value });
+        });
+
+        dom.app.addEventListener('click', handleAppClick);
+        dom.app.addEventListener('input', handleAppInput);
+        
+        dom.modalContainer.addEventListener('click', handleModalClick);
+
+        // Dedicated listener for the dynamic list inside the projects modal
+        dom.projectsList.addEventListener('click', handleProjectsListClick);
+        dom.trashSection.addEventListener('click', handleTrashClick);
+        dom.projectSearch.addEventListener('input', (e) => {
+            // Wait for a pause in typing before querying the database.
+            clearTimeout(projectSearchTimeout);
+            projectSearchTimeout = setTimeout(() => updateProjectQuery({ text: e.target.value }), PROJECT_SEARCH_DELAY_MS);
+        });
+        dom.projectSort.addEventListener('change', (e) => updateProjectQuery({ sortBy: e.target.value }));
+        dom.showClosedToggle.addEventListener('change', (e) => updateProjectQuery({ showClosed: e.target.checked }));
+
+        dom.toastContainer.addEventListener('click', handleToastClick);
+        document.addEventListener('keydown', handleKeyDown);
+
+        dom.importFileInput.addEventListener('change', handleImportFile);
+        dom.shareProgressToggle.addEventListener('change', renderShareLink);
+        // A share link opened while the app is already running (e.g. in the installed app)
+        window.addEventListener('hashchange', checkShareLink);
+
+        if (syncChannel) syncChannel.addEventListener('message', handleSyncMessage);
+        // The tab in use decides which project reopens next time.
+        window.addEventListener('focus', rememberActiveProject);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') rememberActiveProject();
+            handleVisibilityChange();
+            // A hidden page may be closed without warning, so write any waiting auto-save now.
+            if (document.visibilityState === 'hidden') flushPendingSave();
+        });
+        window.addEventListener('pagehide', () => flushPendingSave());
+
+        dom.themeSelect.addEventListener('change', (e) => {
+            appState.settings.theme = e.target.value;
+            saveSettings();
+            applyTheme();
+        });
+
+        // Follow live changes to the device's colour scheme when using the system theme.
+        darkSchemeQuery.addEventListener('change', () => {
+            if (appState.settings.theme === 'system') applyTheme();
+        });
+
+        dom.showTimerToggle.addEventListener('change', (e) => {
+            appState.settings.showTimer = e.target.checked;
+            saveSettings();
+            render();
+        });
+
+        dom.idlePauseSelect.addEventListener('change', (e) => {
+            appState.settings.idlePauseMinutes = Number(e.target.value);
+            lastActivityAt = Date.now(); // Measure the new period from now
+            saveSettings();
+        });
+        dom.hiddenPauseToggle.addEventListener('change', (e) => {
+            appState.settings.pauseWhenHidden = e.target.checked;
+            saveSettings();
+        });
+        dom.trashDaysSelect.addEventListener('change', (e) => {
+            appState.settings.trashDays = Number(e.target.value);
+            saveSettings();
+            purgeDeletedCounters();
+            render();
+            purgeExpiredTrash();
+        });
+
+        dom.alertSoundToggle.addEventListener('change', (e) => {
+            appState.settings.alertSound = e.target.checked;
+            saveSettings();
+        });
+        dom.alertVibrateToggle.addEventListener('change', (e) => {
+            appState.settings.alertVibrate = e.target.checked;
+            saveSettings();
+        });
+        dom.alertNotifyToggle.addEventListener('change', (e) => toggleAlertNotifications(e.target.checked));
+    }
+
+    // Main click handler using event delegation.
+    function handleAppClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        const { action, id, name } = target.dataset;
+
+        switch (action) {
+            case 'increment': selectCounter(id); incrementCounter(id); break;
+            case 'decrement': selectCounter(id); decrementCounter(id); break;
+            case 'reset': resetCounter(id); break;
+            case 'add-sub-counter': addSubCounter(); break;
+            case 'delete-sub-counter':
+                showConfirmation({
+                    title: 'Delete Counter?',
+                    message: `It can be restored from "Recently deleted" below the counters for ${formatTrashPeriod()}.`,
+                    onConfirm: () => {
+                        deleteSubCounter(id);
+                        // Undo restores this counter, whatever else has changed since.
+                        showToast('Sub-counter deleted.', 'success', 5000, { label: 'Undo', onClick: () => restoreSubCounter(id) });
+                    }
+                });
+                break;
+            case 'restore-sub-counter': restoreSubCounter(id); break;
+            case 'save-project': saveActiveProject(); break;
+            case 'share-project': showShareModal(); break;
+            case 'show-history': showHistoryModal(); break;
+            case 'save-template': showSaveTemplateModal(); break;
+            case 'add-material': addMaterial(target.dataset.material); break;
+            case 'remove-material': removeMaterial(target.dataset.material, id); break;
+            case 'show-sizing': showSizingModal(); break;
+            case 'add-attachment': dom.attachmentFileInput.click(); break;
+            case 'open-attachment': openAttachment(id); break;
+            case 'delete-attachment': confirmAttachmentDeletion(id); break;
+            case 'plan-shaping': showPlannerModal(id); break;
+            case 'counter-type': showCounterTypeModal(id); break;
+            case 'add-milestone': showAddMilestoneModal(id); break;
+            case 'delete-milestone': deleteMilestone(id, target.dataset.milestoneId); break;
+            case 'delete-project-current':
+                if (!appState.activeProject.id) {
+                    setActiveProject(createDefaultProject());
+                    render();
+                    showToast("Project reset to default state.", "info");
+                    return;
+                }
+                confirmProjectDeletion(appState.activeProject.id, appState.activeProject.name);
+                break;
+            case 'load-project': loadProject(id); break;
+            case 'delete-project': confirmProjectDeletion(id, name); break;
+            case 'toggle-settings': showModal('settings'); break;
+            case 'toggle-projects': showProjectsModal(); break;
+            case 'toggle-stats': showStatsModal(); break;
+            case 'toggle-timer-pause': toggleTimerPause(); break;
+            case 'edit-instructions': showInstructionsModal(); break;
+            case 'undo': undo(); break;
+            case 'redo': redo(); break;
+            case 'toggle-target':
+                const counterToTarget = engine.findCounter(id);
+                if (counterToTarget) {
+                    if (counterToTarget.target) {
+                        // If target is already set, unset it directly
+                        updateAndSave(() => {
+                            counterToTarget.target = null;
+                        }, 'Remove target');
+                    } else {
+                        // Otherwise, show the custom modal to set a new target
+                        showSetTargetModal({
+                            counterId: id,
+                            currentValue: counterToTarget.value + 10, // Suggest a value
+                            message: `Set a target for "${counterToTarget.name}":`,
+                            onSet: (newTarget) => {
+                                // Look the counter up again in case an undo replaced the project meanwhile
+                                updateAndSave(() => {
+                                    const counter = engine.findCounter(id);
+                                    if (counter) counter.target = newTarget;
+                                }, 'Set target');
+                            }
+                        });
+                    }
+                }
+                break;
+            case 'start-new-project': showTemplatePicker(); break;
+        }
+    }
+
+    function showSetTargetModal(context) {
+        appState.setTargetContext = context;
+        showModal('setTarget');
+    }
+
+    function handleSetTargetProceed() {
+        const { onSet, counterId } = appState.setTargetContext;
+        const newTargetValue = parseInt(dom.setTargetInput.value, 10);
+
+        if (isNaN(newTargetValue) || newTargetValue < 0) {
+            showToast("Please enter a valid positive number for the target.", 'error');
+            return;
+        }
+
+        if (onSet && typeof onSet === 'function') {
+            onSet(newTargetValue);
+        }
+
+        closeModal();
+        render();
+    }
+
+    // Handles input events for dynamically created counter fields.
+    function handleAppInput(e) {
+        const target = e.target.closest('[data-property]');
+        if (!target) return;
+        
+        const { id, property } = target.dataset;
+        
+        // For target inputs, only update on blur (when focus is lost)
+        if (property === 'target') {
+            target.addEventListener('blur', function onBlur() {
+                const value = parseInt(target.value, 10) || null;
+                updateCounterProperty(id, property, value);
+                target.removeEventListener('blur', onBlur);
+            }, { once: true });
+            return;
+        }
+        
+        // An empty link selection means the counter stands alone
+        if (property === 'parentId') {
+            updateCounterProperty(id, property, target.value || null);
+            return;
+        }
+
+        // For other properties (like name), update immediately
+        const value = target.value;
+        updateCounterProperty(id, property, value);
+    }
+    
+    // Handles clicks within the modal container (closing, confirming, etc.).
+    function handleModalClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (e.target === dom.modalOverlay) {
+            closeModal();
+            return;
+        }
+        if (!target) return;
+
+        const { action } = target.dataset;
+        
+        switch (action) {
+            case 'close-modal': closeModal(); break;
+            case 'confirm-cancel': closeModal(); break;
+            case 'start-new-project': showTemplatePicker(); break;
+            case 'use-template': startNewProject(findTemplate(target.dataset.id)); break;
+            case 'delete-template': confirmTemplateDeletion(target.dataset.id); break;
+            case 'template-save': handleTemplateSave(); break;
+            case 'sizing-apply': handleSizingApply(); break;
+            case 'planner-apply': handlePlannerApply(); break;
+            case 'planner-remove': handlePlannerRemove(); break;
+            case 'counter-type-save': handleCounterTypeSave(); break;
+            case 'milestone-add': handleMilestoneAdd(); break;
+            case 'viewer-zoom-in': zoomViewerAtCentre(VIEWER_ZOOM_STEP); break;
+            case 'viewer-zoom-out': zoomViewerAtCentre(1 / VIEWER_ZOOM_STEP); break;
+            case 'viewer-fit': fitViewer(); break;
+            case 'viewer-row-increment': incrementCounter('main'); break;
+            case 'viewer-row-decrement': decrementCounter('main'); break;
+            case 'confirm-proceed': handleConfirmationProceed(); break;
+            case 'set-target-cancel': closeModal(); break;
+            case 'set-target-proceed': handleSetTargetProceed(); break;
+            case 'instructions-save': handleInstructionsSave(); break;
+            case 'export-backup': exportBackup(); break;
+            case 'import-backup': dom.importFileInput.click(); break;
+            case 'import-proceed': handleImportProceed(); break;
+            case 'copy-share-link': copyShareLink(); break;
+            case 'native-share': nativeShare(); break;
+            case 'share-import-proceed': handleShareImportProceed(); break;
+            case 'capture-binding': startBindingCapture(target.dataset.binding); break;
+            case 'remove-binding': removeKeyBinding(target.dataset.binding, target.dataset.key); break;
+            case 'reset-bindings': resetKeyBindings(); break;
+            case 'preview-snapshot': toggleSnapshotPreview(target.dataset.id); break;
+            case 'restore-snapshot': confirmSnapshotRestore(target.dataset.id); break;
+        }
+    }
+    
+    // Runs the action attached to the current toast (e.g. "Undo") and dismisses it.
+    function handleToastClick(e) {
+        const target = e.target.closest('[data-action="toast-action"]');
+        if (!target || !appState.toast.action) return;
+
+        const { onClick } = appState.toast.action;
+        clearTimeout(toastTimeout);
+        hideToast();
+        onClick();
+    }
+
+    // Central handler for the "Proceed" button in the confirmation modal.
+    function handleConfirmationProceed() {
+        const { onConfirm } = appState.confirmationContext;
+
+        if (onConfirm && typeof onConfirm === 'function') {
+            onConfirm();
+        }
+        
+        closeModal();
+        render();
+    }
+
+    // --- SYNC BETWEEN TABS --- //
+
+    // Runs a save or an update from another tab after the ones already queued.
+    function queueSync(task) {
+        const run = syncQueue.then(task);
+        syncQueue = run.catch(() => {}); // A failed task must not block the ones after it
+        return run;
+    }
+
+    // Saves a project unless another tab saved it since this tab's copy was loaded. In that
+    // case the newer copy is merged in and the save retried on top of it.
+    async function writeProject(project) {
+        for (let attempt = 0; attempt < SYNC_MAX_ATTEMPTS; attempt++) {
+            project.lastModified = Date.now();
+            const base = syncBases.get(project.id);
+            const result = await saveProjectRevision(project, base ? base.revision : null);
+            if (result.saved) {
+                syncBases.set(project.id, structuredClone(project));
+                broadcastSync('project-saved', project.id);
+                return;
+            }
+            project = applyStoredProject(project, result.current);
+        }
+        throw new Error('The project kept changing in another tab while saving.');
+    }
+
+    // Tells the other tabs that a project was saved or deleted.
+    function broadcastSync(type, projectId) {
+        if (syncChannel) syncChannel.postMessage({ type, projectId });
+    }
+
+    function handleSyncMessage(event) {
+        const { type, projectId } = event.data || {};
+        const project = appState.activeProject;
+
+        if (project && project.id === projectId) {
+            if (type === 'project-saved') {
+                queueSync(() => pullStoredProject(projectId));
+            } else if (type === 'project-deleted') {
+                detachDeletedProject();
+            }
+        }
+
+        // Whatever changed, the projects list may be out of date.
+        refreshProjectsList();
+    }
+
+    // Brings the active project up to date with a copy saved by another tab.
+    async function pullStoredProject(projectId) {
+        const project = appState.activeProject;
+        if (!project || project.id !== projectId) return;
+
+        const stored = await getProject(projectId);
+        const base = syncBases.get(projectId);
+        if (!stored || (base && stored.revision === base.revision)) return;
+
+        applyStoredProject(project, stored);
+        render();
+    }
+
+    // Merges a newer stored copy of a project with this tab's unsaved changes to it. If the
+    // project is the active one, the merged copy replaces it. Returns the merged project.
+    function applyStoredProject(project, stored) {
+        const base = syncBases.get(project.id) || stored;
+        const { merged, conflicts } = mergeProjects(base, project, stored);
+        syncBases.set(project.id, structuredClone(stored));
+
+        if (appState.activeProject === project) {
+            engine.replace(merged);
+            // Undo steps hold copies from before the merge, so undoing would throw away the other tab's changes.
+            appState.undoStack = [];
+            appState.redoStack = [];
+        }
+        if (conflicts.length) {
+            showToast(`Changed in another tab too. Kept this tab's ${conflicts.join(', ')}.`, 'info', 6000);
+        }
+        return merged;
+    }
+
+    // Three-way merge of the changes made here (mine) and in another tab (theirs) since a common base.
+    // Counts are merged by adding up both sides' changes, so taps in either tab are kept. Other
+    // fields take whichever side changed them; if both did, this tab wins and the field is
+    // reported as a conflict. Returns { merged, conflicts }.
+    function mergeProjects(base, mine, theirs) {
+        const conflicts = [];
+        const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const pick = (field, baseObj, mineObj, theirsObj, label) => {
+            if (isSame(mineObj[field], baseObj[field])) return structuredClone(theirsObj[field]);
+            if (!isSame(theirsObj[field], baseObj[field]) && !isSame(theirsObj[field], mineObj[field])) {
+                conflicts.push(label);
+            }
+            return structuredClone(mineObj[field]);
+        };
+
+        const mergeCounter = (baseCounter, mineCounter, theirsCounter) => {
+            // A counter added on one side only needs no merging.
+            if (!baseCounter) return structuredClone(mineCounter);
+            const counter = structuredClone(theirsCounter);
+            ['name', 'target', 'parentId', 'plan', 'milestones', 'step', 'mode', 'start', 'min', 'max', 'wrap'].forEach(field => {
+                counter[field] = pick(field, baseCounter, mineCounter, theirsCounter, `"${mineCounter.name}" ${PROPERTY_LABELS[field]}`);
+            });
+            counter.value = clampCounterValue(counter, theirsCounter.value + mineCounter.value - baseCounter.value);
+            return counter;
+        };
+
+        const merged = structuredClone(theirs);
+        ['name', 'notes', 'patternUrl', 'status', 'tags', 'instructions', 'materials'].forEach(field => {
+            merged[field] = pick(field, base, mine, theirs, PROPERTY_LABELS[field]);
+        });
+
+        // Both tabs' timers may have been running at once, so take the longer total rather than adding.
+        merged.timer = {
+            ...mine.timer,
+            totalElapsedMs: Math.max(mine.timer.totalElapsedMs, theirs.timer.totalElapsedMs),
+            isPaused: pick('isPaused', base.timer, mine.timer, theirs.timer, 'timer'),
+        };
+
+        merged.mainCounter = mergeCounter(base.mainCounter, mine.mainCounter, theirs.mainCounter);
+
+        // Keep counters on both sides, except ones that either side deleted.
+        const findById = (list, id) => list.find(c => c.id === id);
+        const mineIds = new Set(mine.subCounters.map(c => c.id));
+        const theirIds = new Set(theirs.subCounters.map(c => c.id));
+        const wasDeleted = (id, ids) => !ids.has(id) && !!findById(base.subCounters, id);
+        merged.subCounters = [
+            ...theirs.subCounters.filter(c => !wasDeleted(c.id, mineIds)),
+            ...mine.subCounters.filter(c => !theirIds.has(c.id) && !wasDeleted(c.id, theirIds)),
+        ].map(counter => mineIds.has(counter.id) && theirIds.has(counter.id)
+            ? mergeCounter(findById(base.subCounters, counter.id), findById(mine.subCounters, counter.id), counter)
+            : structuredClone(counter));
+
+        // The increment history is merged like the counts: taps either side added are kept, and
+        // taps either side removed (by decrementing, resetting or deleting a counter) stay removed.
+        const historyKey = (entry) => `${entry.counterId}@${entry.timestamp}`;
+        const baseHistory = new Set(base.incrementHistory.map(historyKey));
+        const mineHistory = new Set(mine.incrementHistory.map(historyKey));
+        const theirHistory = new Set(theirs.incrementHistory.map(historyKey));
+        merged.incrementHistory = [
+            ...mine.incrementHistory.filter(e => theirHistory.has(historyKey(e)) || !baseHistory.has(historyKey(e))),
+            ...theirs.incrementHistory.filter(e => !mineHistory.has(historyKey(e)) && !baseHistory.has(historyKey(e))),
+        ].sort((a, b) => a.timestamp - b.timestamp);
+        // Deleted counters are combined too, leaving out any that either side restored.
+        const mergedIds = new Set(merged.subCounters.map(c => c.id));
+        const mineDeleted = new Set(mine.deletedCounters.map(entry => entry.counter.id));
+        merged.deletedCounters = [...mine.deletedCounters, ...theirs.deletedCounters.filter(entry => !mineDeleted.has(entry.counter.id))]
+            .filter(entry => !mergedIds.has(entry.counter.id))
+            .sort((a, b) => b.deletedAt - a.deletedAt)
+            .map(entry => structuredClone(entry));
+        // Sessions are combined. This tab's session objects are kept as they are, since the
+        // session being recorded is updated in place.
+        const mineSessions = new Set(mine.sessions.map(session => session.start));
+        merged.sessions = [...mine.sessions, ...structuredClone(theirs.sessions.filter(session => !mineSessions.has(session.start)))]
+            .sort((a, b) => a.start - b.start);
+
+        merged.lastModified = Math.max(mine.lastModified, theirs.lastModified);
+        return { merged, conflicts };
+    }
+
+    // The active project was deleted in another tab. Keep it open as an unsaved project,
+    // so its contents are not lost unless the user chooses to.
+    function detachDeletedProject() {
+        const project = appState.activeProject;
+        syncBases.delete(project.id);
+        project.id = null;
+        markDirty();
+        loadAttachments();
+        render();
+        showToast('This project was moved to the Trash in another tab. Save it to keep a copy.', 'error', 6000);
+    }
+
+    // --- SETTINGS --- //
+    
+    function loadSettings() {
+        const savedSettings = localStorage.getItem('crochetCounterSettings');
+        if (savedSettings) {
+            const parsed = JSON.parse(savedSettings);
+            appState.settings = {
+                ...appState.settings,
+                ...parsed,
+                // Actions added since the settings were saved get their default keys.
+                keyBindings: { ...appState.settings.keyBindings, ...parsed.keyBindings },
+            };
+        }
+    }
+
+    function saveSettings() {
+        localStorage.setItem('crochetCounterSettings', JSON.stringify(appState.settings));
+    }
+
+    // --- KEY BINDINGS --- //
+
+    // Actions that can be bound to keys, in the order they're listed in Settings.
+    const KEY_ACTIONS = {
+        incrementSelected: { label: 'Increment selected counter', run: () => incrementCounter(getSelectedCounter().id) },
+        decrementSelected: { label: 'Decrement selected counter', run: () => decrementCounter(getSelectedCounter().id) },
+        incrementMain: { label: 'Increment main counter', run: () => incrementCounter('main') },
+        decrementMain: { label: 'Decrement main counter', run: () => decrementCounter('main') },
+        cycleCounter: { label: 'Select next counter', run: () => cycleSelectedCounter() },
+        toggleTimer: { label: 'Pause/resume timer', run: () => toggleTimerPause() },
+        undo: { label: 'Undo', run: () => undo() },
+        redo: { label: 'Redo', run: () => redo() },
+    };
+
+    // Keys that only modify other keys and can't be bound on their own.
+    const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+    // Dispatches key presses to their bound actions, or records a new binding while one is being captured.
+    // Bindings are ignored while typing in a text field or while a modal is open.
+    function handleKeyDown(e) {
+        if (appState.bindingCapture && appState.activeModal === 'settings') {
+            handleBindingCapture(e);
+            return;
+        }
+        appState.bindingCapture = null;
+        // The attachment viewer stays usable with a clicker, so the highlighter can follow the rows.
+        if ((appState.activeModal && appState.activeModal !== 'viewer') || isTypingTarget(e.target)) return;
+
+        const combo = keyComboFromEvent(e);
+        const action = Object.keys(KEY_ACTIONS).find(a => (appState.settings.keyBindings[a] || []).includes(combo));
+        if (!action) return;
+
+        e.preventDefault();
+        // Holding a key down shouldn't run away with a counter.
+        if (e.repeat) return;
+        // Drop focus from a tapped button so Space/Enter don't also click it.
+        if (document.activeElement && document.activeElement.tagName === 'BUTTON') {
+            document.activeElement.blur();
+        }
+        appState.showSelection = true;
+        KEY_ACTIONS[action].run();
+    }
+
+    // Whether a key event comes from a field the user is typing into.
+    function isTypingTarget(element) {
+        if (!element || !element.closest) return false;
+        if (element.closest('textarea, select, [contenteditable]')) return true;
+        const input = element.closest('input');
+        return !!input && !['checkbox', 'radio', 'button', 'range'].includes(input.type);
+    }
+
+    // Normalizes a key event into a combo string such as "Space", "PageDown", "T" or "Ctrl+Shift+Z".
+    // Cmd counts as Ctrl so shortcuts work the same on macOS. Shift is only recorded alongside
+    // Ctrl/Alt or for named keys, since it already changes the character of printable keys.
+    function keyComboFromEvent(e) {
+        let key = e.key === ' ' ? 'Space' : e.key;
+        if (key.length === 1) key = key.toUpperCase();
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && (key.length > 1 || parts.length > 0)) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    // Formats a combo for display, using arrows for the arrow keys.
+    function formatKeyCombo(combo) {
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return combo.split('+').map(part => arrows[part] || part).join(' + ');
+    }
+
+    // Waits for the next key press to bind to an action.
+    function startBindingCapture(action) {
+        appState.bindingCapture = action;
+        renderKeyBindings();
+    }
+
+    // Binds the captured key to the waiting action, moving it off any other action. Escape cancels.
+    function handleBindingCapture(e) {
+        if (MODIFIER_KEYS.includes(e.key)) return;
+        e.preventDefault();
+
+        const action = appState.bindingCapture;
+        appState.bindingCapture = null;
+
+        if (e.key !== 'Escape') {
+            const combo = keyComboFromEvent(e);
+            const bindings = appState.settings.keyBindings;
+            Object.keys(bindings).forEach(a => {
+                bindings[a] = bindings[a].filter(k => k !== combo);
+            });
+            bindings[action] = [...(bindings[action] || []), combo];
+            saveSettings();
+        }
+        renderKeyBindings();
+    }
+
+    function removeKeyBinding(action, combo) {
+        const bindings = appState.settings.keyBindings;
+        bindings[action] = (bindings[action] || []).filter(k => k !== combo);
+        saveSettings();
+        renderKeyBindings();
+    }
+
+    function resetKeyBindings() {
+        appState.settings.keyBindings = structuredClone(DEFAULT_KEY_BINDINGS);
+        appState.bindingCapture = null;
+        saveSettings();
+        renderKeyBindings();
+    }
+
+    // Lists every action with its keys in the Settings modal.
+    function renderKeyBindings() {
+        const bindings = appState.settings.keyBindings;
+        dom.keyBindingsList.innerHTML = Object.entries(KEY_ACTIONS).map(([action, { label }]) => {
+            const isCapturing = appState.bindingCapture === action;
+            const keys = (bindings[action] || []).map(combo => `
+                <span class="inline-flex items-center px-2 py-0.5 rounded bg-gray-200 dark:bg-gray-700 font-mono text-xs">
+                    ${escapeHTML(formatKeyCombo(combo))}
+                    <button data-action="remove-binding" data-binding="${action}" data-key="${escapeHTML(combo)}" class="ml-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Remove">&times;</button>
+                </span>
+            `).join('');
+            return `
+                <div class="flex items-center justify-between py-1">
+                    <span class="text-sm">${label}</span>
+                    <div class="flex flex-wrap items-center justify-end gap-1">
+                        ${keys}
+                        <button data-action="capture-binding" data-binding="${action}" class="px-2 py-0.5 rounded text-xs ${isCapturing ? 'bg-violet-600 text-white' : 'text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700'}">${isCapturing ? 'Press a key…' : '+ Key'}</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // --- COUNTER SELECTION --- //
+
+    // Returns the counter targeted by "selected counter" bindings, falling back to the main counter.
+    function getSelectedCounter() {
+        return engine.findCounter(appState.selectedCounterId) || appState.activeProject.mainCounter;
+    }
+
+    function isCounterSelected(counter) {
+        return appState.showSelection && getSelectedCounter().id === counter.id;
+    }
+
+    // Makes a tapped counter the target for the "selected counter" bindings.
+    function selectCounter(counterId) {
+        const previous = getSelectedCounter();
+        appState.selectedCounterId = counterId;
+        if (appState.showSelection && previous.id !== counterId) {
+            renderCounter(previous);
+            renderCounter(getSelectedCounter());
+        }
+    }
+
+    // Moves the selection to the next counter, wrapping from the last sub-counter back to the main one.
+    function cycleSelectedCounter() {
+        const project = appState.activeProject;
+        const ids = ['main', ...project.subCounters.map(c => c.id)];
+        const index = ids.indexOf(getSelectedCounter().id);
+        appState.selectedCounterId = ids[(index + 1) % ids.length];
+        renderMainCounter();
+        renderSubCounters();
+    }
+
+    // --- STATISTICS --- //
+
+    // Number of days shown in the time-per-day chart, and sessions in the pace chart.
+    const STATS_DAYS = 14;
+    const STATS_SESSIONS = 12;
+
+    // Summarises a project's work sessions: time per day, pace per session, longest session and streaks.
+    function computeProjectStats(project) {
+        const sessions = project.sessions || [];
+        const timePerDay = new Map();
+        sessions.forEach(session => {
+            const day = toDayKey(session.start);
+            timePerDay.set(day, (timePerDay.get(day) || 0) + session.durationMs);
+        });
+
+        const pace = sessions
+            .filter(session => session.durationMs >= 60000)
+            .map(session => ({
+                start: session.start,
+                rowsPerHour: (session.increments.main || 0) / (session.durationMs / 3600000),
+            }));
+
+        const longestSession = sessions.reduce((longest, session) =>
+            !longest || session.durationMs > longest.durationMs ? session : longest, null);
+
+        return {
+            totalMs: project.timer.totalElapsedMs,
+            rows: project.mainCounter.value,
+            sessionCount: sessions.length,
+            timePerDay,
+            pace,
+            longestSession,
+            ...computeStreaks([...timePerDay.keys()]),
+        };
+    }
+
+    // Finds the current and longest runs of consecutive days worked. A streak stays current
+    // until a full day passes without work.
+    function computeStreaks(dayKeys) {
+        const days = new Set(dayKeys);
+        let longest = 0;
+        days.forEach(day => {
+            if (days.has(shiftDayKey(day, -1))) return; // Only count from the start of each run
+            let length = 1;
+            while (days.has(shiftDayKey(day, length))) length++;
+            longest = Math.max(longest, length);
+        });
+
+        const today = toDayKey(Date.now());
+        let cursor = days.has(today) ? today : shiftDayKey(today, -1);
+        let current = 0;
+        while (days.has(cursor)) {
+            current++;
+            cursor = shiftDayKey(cursor, -1);
+        }
+
+        return { currentStreak: current, longestStreak: longest };
+    }
+
+    // Reads every saved project once, when the modal opens, for the overall totals.
+    async function showStatsModal() {
+        const project = appState.activeProject;
+        try {
+            // The projects list may be filtered, so read every project for the overall totals.
+            // Use the in-memory copy of the active project, as it may be ahead of the database.
+            const savedProjects = await getAllProjects();
+            const allProjects = savedProjects.map(p => p.id === project.id ? project : p);
+            if (!project.id) allProjects.push(project);
+            appState.statsContext = { overallHTML: createOverallStatsHTML(allProjects) };
+        } catch (error) {
+            console.error("Error reading projects for statistics:", error);
+            appState.statsContext = { overallHTML: '<p class="text-sm text-red-600 dark:text-red-400">Couldn\'t read your saved projects, so the overall totals aren\'t available.</p>' };
+        }
+        showModal('stats');
+    }
+
+    function createOverallStatsHTML(allProjects) {
+        const allStats = allProjects.map(computeProjectStats);
+        const allDays = allProjects.flatMap(p => (p.sessions || []).map(session => toDayKey(session.start)));
+        const overall = {
+            totalMs: allStats.reduce((sum, s) => sum + s.totalMs, 0),
+            rows: allStats.reduce((sum, s) => sum + s.rows, 0),
+            sessionCount: allStats.reduce((sum, s) => sum + s.sessionCount, 0),
+            ...computeStreaks(allDays),
+        };
+        return `
+            <div class="grid grid-cols-2 gap-2">
+                ${createStatTileHTML('Projects', allProjects.length)}
+                ${createStatTileHTML('Time spent', formatDuration(overall.totalMs))}
+                ${createStatTileHTML('Rows counted', overall.rows)}
+                ${createStatTileHTML('Streak', `${overall.currentStreak} day${overall.currentStreak === 1 ? '' : 's'}`, `Best: ${overall.longestStreak} · ${overall.sessionCount} sessions`)}
             </div>
         `;
+    }
 
-        return `
-            <div class="${containerClasses}">
-                ${deleteBtnHTML}
-                <div class="${isMain ? 'w-full text-center' : 'flex-grow w-full'}">
-                    <input type="text" value="${counter.name}" data-property="name" data-id="${counter.id}"
-                           class="bg-transparent ${nameInputClasses} w-full focus:bg-gray-700 rounded-md p-1 -m-1">
+    // Fills the statistics modal. The active project's section follows every change;
+    // the overall totals were worked out when the modal opened.
+    function renderStats() {
+        const project = appState.activeProject;
+        const stats = computeProjectStats(project);
+
+        const days = Array.from({ length: STATS_DAYS }, (_, i) => shiftDayKey(toDayKey(Date.now()), i - STATS_DAYS + 1));
+        const maxDayMs = Math.max(...days.map(day => stats.timePerDay.get(day) || 0), 1);
+        const dayBars = days.map(day => {
+            const ms = stats.timePerDay.get(day) || 0;
+            return createBarHTML(ms / maxDayMs, `${formatDayLabel(day)}: ${formatDuration(ms)}`, formatDayLabel(day, true));
+        }).join('');
+
+        const recentPace = stats.pace.slice(-STATS_SESSIONS);
+        const maxPace = Math.max(...recentPace.map(p => p.rowsPerHour), 1);
+        const paceBars = recentPace.map(p =>
+            createBarHTML(p.rowsPerHour / maxPace, `${new Date(p.start).toLocaleString()}: ${p.rowsPerHour.toFixed(1)} ${escapeHTML(project.mainCounter.name)}/h`, '')
+        ).join('');
+
+        const longest = stats.longestSession;
+
+        dom.statsContent.innerHTML = `
+            <section class="space-y-3">
+                <h3 class="font-semibold text-gray-500 dark:text-gray-400">${escapeHTML(project.name)}</h3>
+                <div class="grid grid-cols-2 gap-2">
+                    ${createStatTileHTML('Time spent', formatDuration(stats.totalMs))}
+                    ${createStatTileHTML('Sessions', stats.sessionCount)}
+                    ${createStatTileHTML('Longest session', longest ? formatDuration(longest.durationMs) : '—', longest ? new Date(longest.start).toLocaleDateString() : '')}
+                    ${createStatTileHTML('Streak', `${stats.currentStreak} day${stats.currentStreak === 1 ? '' : 's'}`, `Best: ${stats.longestStreak}`)}
                 </div>
-                <div class="flex items-center justify-center space-x-2 my-2">
-                    <button data-action="decrement" data-id="${counter.id}" class="w-16 h-16 md:w-20 md:h-20 text-4xl font-light rounded-full bg-gray-700 hover:bg-gray-600 transition">-</button>
-                    <div class="text-center">
-                        ${counterDisplayHTML}
-                    </div>
-                    <button data-action="increment" data-id="${counter.id}" class="w-16 h-16 md:w-20 md:h-20 text-4xl font-light rounded-full bg-gray-700 hover:bg-gray-600 transition">+</button>
+                <div>
+                    <p class="text-sm text-gray-500 dark:text-gray-400 mb-1">Time per day (last ${STATS_DAYS} days)</p>
+                    <div class="flex items-end h-24 space-x-1">${dayBars}</div>
+                </div>
+                <div>
+                    <p class="text-sm text-gray-500 dark:text-gray-400 mb-1">${escapeHTML(project.mainCounter.name)} per hour, by session</p>
+                    ${recentPace.length
+                        ? `<div class="flex items-end h-24 space-x-1">${paceBars}</div>`
+                        : '<p class="text-sm text-gray-500">No sessions long enough to chart yet. Sessions are logged while the timer runs.</p>'}
                 </div>
+            </section>
+            <section class="space-y-3 pt-4 mt-4 border-t border-gray-200 dark:border-gray-700">
+                <h3 class="font-semibold text-gray-500 dark:text-gray-400">All projects</h3>
+                ${appState.statsContext.overallHTML}
+            </section>
+        `;
+    }
+
+    function createStatTileHTML(label, value, detail = '') {
+        return `
+            <div class="p-3 rounded-md bg-gray-100 dark:bg-gray-700/50">
+                <p class="text-xs text-gray-500 dark:text-gray-400">${label}</p>
+                <p class="text-lg font-semibold">${value}</p>
+                ${detail ? `<p class="text-xs text-gray-500">${detail}</p>` : ''}
             </div>
         `;
     }
 
-    // --- MODAL & NOTIFICATION MANAGEMENT --- //
+    // A single bar for the stats charts. The fraction (0–1) sets its height.
+    function createBarHTML(fraction, title, label) {
+        return `
+            <div class="flex-1 flex flex-col items-center justify-end h-full" title="${title}">
+                <div class="w-full rounded-t bg-violet-500" style="height: ${Math.max(fraction * 100, fraction > 0 ? 4 : 0)}%"></div>
+                ${label ? `<span class="text-[10px] text-gray-500 mt-1">${label}</span>` : ''}
+            </div>
+        `;
+    }
 
-    function showModal(modalName) {
-        appState.activeModal = modalName;
-        renderModals();
+    // --- SHARING --- //
+
+    // Version of the share link format, and the URL fragment parameter that carries it.
+    const SHARE_VERSION = 1;
+    const SHARE_PARAM = 'share';
+    // Links longer than this make QR codes too dense to scan reliably from a phone screen.
+    const QR_MAX_LINK_LENGTH = 1800;
+    // Order of the counter type settings in a share payload entry.
+    const COUNTER_TYPE_FIELDS = ['step', 'mode', 'start', 'min', 'max', 'wrap'];
+
+    // Builds a compact description of a project's layout: counters (with targets, links, types and milestones),
+    // instructions, notes and pattern link. Progress (counts and time) is optional.
+    function buildSharePayload(project, includeProgress) {
+        const counters = [project.mainCounter, ...project.subCounters];
+        const payload = {
+            v: SHARE_VERSION,
+            n: project.name,
+            c: counters.map(counter => {
+                const entry = { n: counter.name };
+                if (counter.target) entry.t = counter.target;
+                if (counter.parentId) entry.p = counters.findIndex(c => c.id === counter.parentId);
+                if (counter.plan) entry.s = counter.plan;
+                if (counter.milestones && counter.milestones.length) {
+                    entry.m = counter.milestones.map(m => [m.kind, m.value, m.message]);
+                }
+                const defaults = createDefaultCounterType();
+                if (COUNTER_TYPE_FIELDS.some(field => counter[field] !== defaults[field])) {
+                    entry.k = COUNTER_TYPE_FIELDS.map(field => counter[field]);
+                }
+                if (includeProgress) entry.v = counter.value;
+                return entry;
+            }),
+        };
+        if (project.instructions && project.instructions.length) {
+            payload.i = project.instructions.map(i => [i.from, i.to, i.label, i.text]);
+        }
+        if (project.notes) payload.o = project.notes;
+        if (project.patternUrl) payload.u = project.patternUrl;
+        if (includeProgress) payload.t = Math.round(project.timer.totalElapsedMs);
+        return payload;
     }
-    
-    function closeModal() {
-        appState.activeModal = null;
-        renderModals();
+
+    // Reads the counter type settings of a share payload entry, falling back to a plain counter.
+    function counterTypeFromShareEntry(entry) {
+        const type = createDefaultCounterType();
+        (entry.k || []).forEach((value, i) => {
+            if (COUNTER_TYPE_FIELDS[i] && value !== undefined) type[COUNTER_TYPE_FIELDS[i]] = value;
+        });
+        return type;
     }
-    
-    function showConfirmation(context) {
-        appState.confirmationContext = context;
-        showModal('confirm');
+
+    // Reads a counter's value from a share payload entry, kept within the counter's bounds.
+    // Links without progress (and templates) start each counter at its start value.
+    function counterValueFromShareEntry(entry, counter) {
+        return typeof entry.v === 'number' ? clampCounterValue(counter, entry.v) : getStartValue(counter);
     }
 
-    function renderModals() {
-        const activeModal = appState.activeModal;
-        dom.modalContainer.hidden = !activeModal;
+    // Reads the milestones of a share payload entry, giving each a new ID.
+    function milestonesFromShareEntry(entry, counterIndex) {
+        return (entry.m || []).map(([kind, value, message], i) => ({
+            id: `milestone-${Date.now()}-${counterIndex}-${i}`,
+            kind,
+            value: value ?? null,
+            message: message || '',
+        }));
+    }
 
-        Object.values(dom.modals).forEach(modal => modal.hidden = true);
-        
-        if (activeModal && dom.modals[activeModal]) {
-            dom.modals[activeModal].hidden = false;
+    // Rebuilds an unsaved project from a share payload. Counter links refer to list positions,
+    // so new counter IDs are generated and the links remapped.
+    function projectFromSharePayload(payload) {
+        const project = createDefaultProject();
+        const [main, ...subs] = payload.c;
+        const ids = ['main', ...subs.map((_, i) => `counter-${Date.now()}-${i}`)];
+
+        project.name = String(payload.n || 'Shared Project');
+        project.mainCounter = { ...project.mainCounter, name: String(main.n), target: main.t || null, milestones: milestonesFromShareEntry(main, 0), ...counterTypeFromShareEntry(main) };
+        project.mainCounter.value = counterValueFromShareEntry(main, project.mainCounter);
+        project.subCounters = subs.map((entry, i) => ({
+            id: ids[i + 1],
+            name: String(entry.n),
+            target: entry.t || null,
+            // Links to counters that aren't in the payload are dropped.
+            parentId: Number.isInteger(entry.p) && entry.p !== i + 1 ? ids[entry.p] || null : null,
+            plan: entry.s || null,
+            milestones: milestonesFromShareEntry(entry, i + 1),
+            ...counterTypeFromShareEntry(entry),
+        }));
+        project.subCounters.forEach((counter, i) => {
+            counter.value = counterValueFromShareEntry(subs[i], counter);
+        });
+        project.instructions = (payload.i || []).map(([from, to, label, text]) => ({ from, to, label, text }));
+        project.notes = payload.o || '';
+        project.patternUrl = payload.u || '';
+        project.timer.totalElapsedMs = payload.t || 0;
+        return project;
+    }
+
+    // Encodes a payload for the URL fragment as "<version>.<z|j>.<base64url>", deflating it
+    // when the browser supports CompressionStream.
+    async function encodeSharePayload(payload) {
+        let bytes = new TextEncoder().encode(JSON.stringify(payload));
+        let format = 'j';
+        if ('CompressionStream' in window) {
+            bytes = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+            format = 'z';
         }
+        return `${SHARE_VERSION}.${format}.${bytesToBase64Url(bytes)}`;
+    }
 
-        if (activeModal === 'confirm') {
-            dom.confirmTitle.textContent = appState.confirmationContext.title;
-            dom.confirmMessage.textContent = appState.confirmationContext.message;
+    async function decodeSharePayload(encoded) {
+        const [version, format, data] = encoded.split('.');
+        if (Number(version) > SHARE_VERSION) throw new Error('Share link made by a newer version of the app.');
+
+        let bytes = base64UrlToBytes(data);
+        if (format === 'z') {
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        }
+        const payload = JSON.parse(new TextDecoder().decode(bytes));
+        if (!payload || !Array.isArray(payload.c) || payload.c.length === 0) {
+            throw new Error('Share link has no counters.');
         }
+        return payload;
+    }
 
-        if (activeModal === 'settings') {
-            dom.showTimerToggle.checked = appState.settings.showTimer;
-        } else if (activeModal === 'setTarget') {
-            const { counterId, currentValue, message } = appState.setTargetContext;
-            dom.setTargetMessage.textContent = message;
-            dom.setTargetInput.value = currentValue;
-            dom.setTargetInput.dataset.id = counterId; // Store counterId on the input for easy access
+    // Pipes bytes through a compression or decompression stream.
+    async function transformBytes(bytes, transformStream) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    function showShareModal() {
+        dom.shareProgressToggle.checked = false;
+        dom.nativeShareBtn.hidden = !navigator.share;
+        showModal('share');
+        renderShareLink();
+    }
+
+    // Generates the share link for the active project and renders it as a QR code.
+    async function renderShareLink() {
+        try {
+            const payload = buildSharePayload(appState.activeProject, dom.shareProgressToggle.checked);
+            const link = `${location.origin}${location.pathname}#${SHARE_PARAM}=${await encodeSharePayload(payload)}`;
+            dom.shareLinkInput.value = link;
+
+            if (link.length > QR_MAX_LINK_LENGTH) {
+                dom.shareQR.innerHTML = `<p class="text-sm text-center text-gray-500 p-4">This project is too large for a QR code. Share the link instead, or shorten the notes and instructions.</p>`;
+                return;
+            }
+            dom.shareQR.innerHTML = QRCode.toSVG(link);
+        } catch (error) {
+            console.error("Failed to create share link:", error);
+            dom.shareLinkInput.value = '';
+            dom.shareQR.innerHTML = `<p class="text-sm text-center text-red-600 dark:text-red-400 p-4">The share link couldn't be created. Try again, or use a backup to move the project instead.</p>`;
         }
     }
 
-    function showToast(message, type = 'info', duration = 3000) {
-        appState.toast = { message, type, visible: true };
-        renderToast();
+    async function copyShareLink() {
+        try {
+            await navigator.clipboard.writeText(dom.shareLinkInput.value);
+            showToast('Link copied.', 'success');
+        } catch (error) {
+            // Clipboard access can be refused; leave the link selected for a manual copy instead.
+            dom.shareLinkInput.select();
+            showToast('Press Ctrl+C to copy the selected link.', 'info');
+        }
+    }
 
-        setTimeout(() => {
-            appState.toast.visible = false;
-            renderToast();
-        }, duration);
+    async function nativeShare() {
+        try {
+            await navigator.share({ title: appState.activeProject.name, url: dom.shareLinkInput.value });
+        } catch (error) {
+            // Dismissing the share sheet rejects too; nothing to report.
+        }
     }
 
-    function renderToast() {
-        const { message, type, visible } = appState.toast;
-        const toastElement = dom.toastContainer;
+    // Looks for a shared project in the URL fragment and, if found, previews it for import.
+    // The fragment is cleared straight away so a reload doesn't offer the import again.
+    async function checkShareLink() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const encoded = params.get(SHARE_PARAM);
+        if (!encoded) return;
+        history.replaceState(null, '', location.pathname + location.search);
 
-        if (visible) {
-            const bgColor = {
-                info: 'bg-gray-800',
-                success: 'bg-green-600',
-                error: 'bg-red-600'
-            }[type];
-            toastElement.textContent = message;
-            toastElement.className = `fixed bottom-5 left-1/2 -translate-x-1/2 px-6 py-3 rounded-full text-white shadow-lg animate-slide-up-fast ${bgColor}`;
-            toastElement.hidden = false;
-        } else {
-            toastElement.hidden = true;
+        try {
+            const project = projectFromSharePayload(await decodeSharePayload(encoded));
+            project.id = 'shared'; // Placeholder so the project can be checked against the schema
+            const errors = validateProject(project);
+            project.id = null;
+            if (errors.length > 0) throw new Error(errors.join(', '));
+
+            appState.shareImportContext = { project };
+            showModal('shareImport');
+        } catch (error) {
+            console.error("Failed to read shared project:", error);
+            showToast("That share link is invalid or damaged.", 'error');
         }
     }
 
-    // --- EVENT LISTENERS & HANDLERS --- //
+    // Fills the shared project preview modal.
+    function renderShareImportPreview() {
+        const { project } = appState.shareImportContext;
+        const counters = [project.mainCounter, ...project.subCounters];
+        const hasProgress = counters.some(c => c.value > 0) || project.timer.totalElapsedMs > 0;
 
-    function registerEventListeners() {
-        dom.projectName.addEventListener('input', (e) => updateProjectProperty('name', e.target.value));
-        dom.projectNotes.addEventListener('input', (e) => updateProjectProperty('notes', e.target.value));
-        dom.projectPatternUrl.addEventListener('input', (e) => updateProjectProperty('patternUrl', e.target.value));
+        dom.shareImportPreview.innerHTML = `
+            <p class="text-lg font-semibold">${escapeHTML(project.name)}</p>
+            <ul class="space-y-1">
+                ${counters.map(c => `
+                    <li class="flex justify-between p-2 rounded-md bg-gray-100 dark:bg-gray-700/50">
+                        <span>${escapeHTML(c.name)}</span>
+                        <span class="font-mono text-gray-500 dark:text-gray-400">${c.value}${c.target ? ` / ${c.target}` : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="text-sm text-gray-500 dark:text-gray-400">
+                ${project.instructions.length} pattern instruction${project.instructions.length === 1 ? '' : 's'}
+                ${project.notes ? '&bull; notes' : ''}
+                ${project.patternUrl ? '&bull; pattern link' : ''}
+                ${hasProgress ? `&bull; progress included (${formatTime(project.timer.totalElapsedMs)})` : ''}
+            </p>
+        `;
+    }
 
-        dom.app.addEventListener('click', handleAppClick);
-        dom.app.addEventListener('input', handleAppInput);
-        
-        dom.modalContainer.addEventListener('click', handleModalClick);
+    function handleShareImportProceed() {
+        if (appState.isDirty) {
+            showConfirmation({
+                title: 'Unsaved Changes',
+                message: 'You have unsaved changes. Are you sure you want to import this project and discard them?',
+                onConfirm: performShareImport
+            });
+        } else {
+            performShareImport();
+        }
+    }
 
-        // Dedicated listener for the dynamic list inside the projects modal
-        dom.projectsList.addEventListener('click', handleProjectsListClick);
+    // Saves the shared project as a new project on this device and makes it active.
+    async function performShareImport() {
+        const { project } = appState.shareImportContext;
+        project.id = `project-${Date.now()}`;
+        project.lastModified = Date.now();
 
-        dom.showTimerToggle.addEventListener('change', (e) => {
-            appState.settings.showTimer = e.target.checked;
-            saveSettings();
+        try {
+            await saveProject(project);
+            broadcastSync('project-saved', project.id);
+            await fetchSavedProjects();
+            setActiveProject(project);
+            closeModal();
             render();
-        });
+            showToast(`Imported "${project.name}".`, 'success');
+        } catch (error) {
+            console.error("Failed to import shared project:", error);
+            showToast("Error importing project.", 'error');
+        }
+    }
+
+    // --- TEMPLATES --- //
+
+    // Templates that ship with the app. Their layouts use the share payload format
+    // (see buildSharePayload): counters as { n: name, t: target, p: index of the parent counter }
+    // and instructions as [from, to, label, text].
+    const BUILT_IN_TEMPLATES = [
+        {
+            id: 'builtin-amigurumi',
+            name: 'Amigurumi Rounds',
+            description: 'Rounds worked in a spiral, with a stitch counter for each round.',
+            layout: {
+                v: SHARE_VERSION,
+                n: 'Amigurumi',
+                c: [{ n: 'Round', t: 12 }, { n: 'Stitch' }],
+                i: [
+                    [1, 1, 'Rnd 1', '6 sc in magic ring (6)'],
+                    [2, 2, 'Rnd 2', 'inc x6 (12)'],
+                    [3, 3, 'Rnd 3', '(sc, inc) x6 (18)'],
+                    [4, 4, 'Rnd 4', '(2 sc, inc) x6 (24)'],
+                    [5, 8, 'Rnds 5–8', 'sc around (24)'],
+                    [9, 9, 'Rnd 9', '(2 sc, dec) x6 (18)'],
+                    [10, 10, 'Rnd 10', '(sc, dec) x6 (12)'],
+                    [11, 11, 'Rnd 11', 'stuff firmly, dec x6 (6)'],
+                    [12, 12, 'Rnd 12', 'fasten off and close the opening'],
+                ],
+                o: 'Yarn:\nHook:\nSafety eyes:\nStuffing:',
+            },
+        },
+        {
+            id: 'builtin-striped-blanket',
+            name: 'Striped Blanket',
+            description: 'Rows counted within each stripe, rolling over into a stripe counter.',
+            layout: {
+                v: SHARE_VERSION,
+                n: 'Striped Blanket',
+                c: [{ n: 'Stripe', t: 20 }, { n: 'Row in Stripe', t: 4, p: 0 }],
+                o: 'Colour order:\nYarn:\nHook:\nStarting chain:',
+            },
+        },
+        {
+            id: 'builtin-sock-heel',
+            name: 'Sock Heel',
+            description: 'Heel flap rows, short-row heel turn and gusset decreases.',
+            layout: {
+                v: SHARE_VERSION,
+                n: 'Sock Heel',
+                c: [{ n: 'Row', t: 40 }, { n: 'Heel Turn Row', t: 10 }, { n: 'Gusset Decrease', t: 8 }],
+                i: [
+                    [1, 24, 'Rows 1–24', 'heel flap: (sl 1, k1) across, purl back'],
+                    [25, 34, 'Rows 25–34', 'turn heel with short rows'],
+                    [35, 40, 'Rows 35–40', 'pick up gusset stitches and decrease every other round'],
+                ],
+                o: 'Yarn:\nNeedles:\nFoot length:',
+            },
+        },
+    ];
+
+    // Loads the user's saved templates into the state.
+    async function fetchTemplates() {
+        appState.templates = await getAllTemplates();
+    }
+
+    // Opens the template picker shown when starting a new project.
+    async function showTemplatePicker() {
+        await fetchTemplates();
+        showModal('newProject');
+    }
+
+    // Lists the blank project, the built-in templates and the user's templates in the picker.
+    function renderTemplatePicker() {
+        const createTemplateHTML = (template, canDelete) => `
+            <div class="flex items-center justify-between p-3 rounded-md hover:bg-gray-200 dark:hover:bg-gray-700">
+                <button data-action="use-template" data-id="${escapeHTML(template.id)}" class="flex-1 text-left min-w-0">
+                    <p class="font-semibold">${escapeHTML(template.name)}</p>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">${escapeHTML(template.description || template.layout.c.map(c => c.n).join(', '))}</p>
+                </button>
+                ${canDelete ? `
+                <button data-action="delete-template" data-id="${escapeHTML(template.id)}" class="p-2 rounded-full text-gray-500 hover:bg-red-500/10 hover:text-red-500" title="Delete template">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
+                </button>` : ''}
+            </div>
+        `;
+
+        const blankHTML = createTemplateHTML({ id: '', name: 'Blank Project', description: 'A single row counter.' }, false);
+        const builtInHTML = BUILT_IN_TEMPLATES.map(t => createTemplateHTML(t, false)).join('');
+        const userHTML = appState.templates.length
+            ? appState.templates.map(t => createTemplateHTML(t, true)).join('')
+            : `<p class="text-sm text-gray-500 dark:text-gray-400 px-3">Use "Save as Template" on a project to reuse its counters here.</p>`;
+
+        dom.templateList.innerHTML = `
+            ${blankHTML}
+            <h3 class="text-sm font-semibold text-gray-500 dark:text-gray-400 px-3 pt-2">Built-in</h3>
+            ${builtInHTML}
+            <h3 class="text-sm font-semibold text-gray-500 dark:text-gray-400 px-3 pt-2">My Templates</h3>
+            ${userHTML}
+        `;
     }
 
-    // Main click handler using event delegation.
-    function handleAppClick(e) {
-        const target = e.target.closest('[data-action]');
-        if (!target) return;
+    // Finds a built-in or saved template by ID.
+    function findTemplate(templateId) {
+        return [...BUILT_IN_TEMPLATES, ...appState.templates].find(t => t.id === templateId) || null;
+    }
 
-        const { action, id, name } = target.dataset;
+    // Starts a new project from a template, or a blank one if no template is given,
+    // confirming first if there are unsaved changes.
+    function startNewProject(template) {
+        const start = () => {
+            setActiveProject(template ? projectFromTemplate(template) : createDefaultProject());
+            closeModal();
+            render();
+        };
 
-        switch (action) {
-            case 'increment': incrementCounter(id); break;
-            case 'decrement': decrementCounter(id); break;
-            case 'reset': resetCounter(id); break;
-            case 'add-sub-counter': addSubCounter(); break;
-            case 'delete-sub-counter':
-                showConfirmation({
-                    title: 'Delete Counter?',
-                    message: `Are you sure you want to delete this sub-counter? This cannot be undone.`,
-                    onConfirm: () => {
-                        deleteSubCounter(id);
-                        showToast('Sub-counter deleted.', 'success');
-                    }
-                });
-                break;
-            case 'save-project': saveActiveProject(); break;
-            case 'delete-project-current':
-                if (!appState.activeProject.id) {
-                    setActiveProject(createDefaultProject());
-                    render();
-                    showToast("Project reset to default state.", "info");
-                    return;
-                }
-                showConfirmation({
-                    title: `Delete "${appState.activeProject.name}"?`,
-                    message: 'This project will be permanently removed from your device.',
-                    onConfirm: () => handleProjectDeletion(appState.activeProject.id)
-                });
-                break;
-            case 'load-project': loadProject(id); break;
-            case 'delete-project':
-                 showConfirmation({
-                    title: `Delete "${name}"?`,
-                    message: 'This project will be permanently removed from your device.',
-                    onConfirm: () => handleProjectDeletion(id)
-                });
-                break;
-            case 'toggle-settings': showModal('settings'); break;
-            case 'toggle-projects': showModal('projects'); break;
-            case 'toggle-timer-pause': toggleTimerPause(); break;
-            case 'toggle-target':
-                const counterToTarget = findCounter(id);
-                if (counterToTarget) {
-                    if (counterToTarget.target) {
-                        // If target is already set, unset it directly
-                        updateAndSave(() => {
-                            counterToTarget.target = null;
-                        });
-                    } else {
-                        // Otherwise, show the custom modal to set a new target
-                        showSetTargetModal({
-                            counterId: id,
-                            currentValue: counterToTarget.value + 10, // Suggest a value
-                            message: `Set a target for "${counterToTarget.name}":`,
-                            onSet: (newTarget) => {
-                                updateAndSave(() => {
-                                    counterToTarget.target = newTarget;
-                                });
-                            }
-                        });
-                    }
-                }
-                break;
-            case 'start-new-project':
-                if (appState.isDirty) {
-                    showConfirmation({
-                        title: 'Unsaved Changes',
-                        message: 'You have unsaved changes. Are you sure you want to start a new project and discard them?',
-                        onConfirm: () => {
-                            setActiveProject(createDefaultProject());
-                            closeModal();
-                            render();
-                        }
-                    });
-                } else {
-                    setActiveProject(createDefaultProject());
-                    closeModal();
-                    render();
-                }
-                break;
+        if (appState.isDirty) {
+            showConfirmation({
+                title: 'Unsaved Changes',
+                message: 'You have unsaved changes. Are you sure you want to start a new project and discard them?',
+                onConfirm: start
+            });
+        } else {
+            start();
         }
     }
 
-    function showSetTargetModal(context) {
-        appState.setTargetContext = context;
-        showModal('setTarget');
+    // Builds an unsaved project from a template's layout. Counters start from zero.
+    function projectFromTemplate(template) {
+        const project = projectFromSharePayload(template.layout);
+        project.name = template.name;
+        return project;
     }
 
-    function handleSetTargetProceed() {
-        const { onSet, counterId } = appState.setTargetContext;
-        const newTargetValue = parseInt(dom.setTargetInput.value, 10);
+    // Opens the modal for saving the active project's structure as a template.
+    function showSaveTemplateModal() {
+        dom.templateNameInput.value = appState.activeProject.name;
+        showModal('saveTemplate');
+        dom.templateNameInput.select();
+    }
 
-        if (isNaN(newTargetValue) || newTargetValue < 0) {
-            showToast("Please enter a valid positive number for the target.", 'error');
+    // Reduces notes to a skeleton for a template, like those of the built-in templates:
+    // "#" heading lines are kept and "Label: value" lines keep only their label.
+    function createNotesSkeleton(notes) {
+        return notes.split('\n').map(line => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('#')) return trimmed;
+            const label = trimmed.match(/^([^:]{1,30}):(?!\/\/)/);
+            return label ? `${label[1]}:` : null;
+        }).filter(Boolean).join('\n');
+    }
+
+    // Saves the active project's counters, targets, links, instructions, notes skeleton and
+    // pattern link, without any progress, as a new template.
+    async function handleTemplateSave() {
+        const name = dom.templateNameInput.value.trim();
+        if (!name) {
+            showToast("Please enter a name for the template.", 'error');
             return;
         }
 
-        if (onSet && typeof onSet === 'function') {
-            onSet(newTargetValue);
+        const layout = buildSharePayload(appState.activeProject, false);
+        if (layout.o) layout.o = createNotesSkeleton(layout.o);
+        if (!layout.o) delete layout.o;
+
+        const template = {
+            id: `template-${Date.now()}`,
+            name,
+            lastModified: Date.now(),
+            layout,
+        };
+
+        try {
+            await saveTemplate(template);
+            closeModal();
+            showToast(`Template "${name}" saved.`, 'success');
+        } catch (error) {
+            console.error("Failed to save template:", error);
+            showToast("Error saving template.", 'error');
         }
+    }
 
-        closeModal();
-        render();
+    // Deletes a saved template after confirmation, then returns to the picker.
+    function confirmTemplateDeletion(templateId) {
+        const template = findTemplate(templateId);
+        if (!template) return;
+        showConfirmation({
+            title: `Delete template "${template.name}"?`,
+            message: 'Projects started from this template are not affected.',
+            onConfirm: async () => {
+                await deleteTemplate(templateId);
+                showTemplatePicker();
+            }
+        });
     }
 
-    // Handles input events for dynamically created counter fields.
-    function handleAppInput(e) {
-        const target = e.target.closest('[data-property]');
-        if (!target) return;
-        
-        const { id, property } = target.dataset;
-        
-        // For target inputs, only update on blur (when focus is lost)
-        if (property === 'target') {
-            target.addEventListener('blur', function onBlur() {
-                const value = parseInt(target.value, 10) || null;
-                updateCounterProperty(id, property, value);
-                target.removeEventListener('blur', onBlur);
-            }, { once: true });
-            return;
+    // --- BACKUP & RESTORE --- //
+
+    // Identifies backup files and the version of their format.
+    const BACKUP_FORMAT = 'crochet-counter-backup';
+    const BACKUP_VERSION = 1;
+
+    // Downloads every saved project and template, plus the current settings, as a single JSON file.
+    async function exportBackup() {
+        try {
+            await flushPendingSave();
+            const projects = await getAllProjects();
+            const backup = {
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                exportedAt: new Date().toISOString(),
+                settings: appState.settings,
+                projects,
+                templates: await getAllTemplates(),
+            };
+
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `crochet-counter-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            const unsavedNote = appState.activeProject.id ? '' : ' The current unsaved project was not included.';
+            showToast(`Exported ${projects.length} project${projects.length === 1 ? '' : 's'}.${unsavedNote}`, 'success');
+        } catch (error) {
+            console.error("Failed to export backup:", error);
+            showToast("Error exporting backup.", 'error');
         }
-        
-        // For other properties (like name), update immediately
-        const value = target.value;
-        updateCounterProperty(id, property, value);
     }
-    
-    // Handles clicks within the modal container (closing, confirming, etc.).
-    function handleModalClick(e) {
-        const target = e.target.closest('[data-action]');
-        if (e.target === dom.modalOverlay) {
-            closeModal();
+
+    // Reads a chosen backup file, validates it and opens the import preview.
+    async function handleImportFile(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow the same file to be picked again later
+        if (!file) return;
+
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            showToast("That file isn't valid JSON.", 'error');
             return;
         }
-        if (!target) return;
 
-        const { action } = target.dataset;
-        
-        switch (action) {
-            case 'close-modal': closeModal(); break;
-            case 'confirm-cancel': closeModal(); break;
-            case 'start-new-project':
-                if (appState.isDirty) {
-                    showConfirmation({
-                        title: 'Unsaved Changes',
-                        message: 'You have unsaved changes. Are you sure you want to start a new project and discard them?',
-                        onConfirm: () => {
-                            setActiveProject(createDefaultProject());
-                        }
-                    });
+        const formatError = validateBackup(backup);
+        if (formatError) {
+            showToast(formatError, 'error', 5000);
+            return;
+        }
+
+        const projects = [];
+        const invalid = [];
+        try {
+            const existingIds = new Set((await getAllProjects()).map(p => p.id));
+            backup.projects.forEach((record, index) => {
+                const name = record && typeof record.name === 'string' ? record.name : `Project #${index + 1}`;
+                let project;
+                try {
+                    // Projects from older versions of the app are upgraded before they're checked.
+                    project = record && typeof record === 'object' ? upgradeProject(record) : record;
+                } catch (error) {
+                    invalid.push({ name, errors: ['could not be upgraded'] });
+                    return;
+                }
+                const errors = validateProject(project);
+                if (errors.length > 0) {
+                    invalid.push({ name, errors });
                 } else {
-                    setActiveProject(createDefaultProject());
-                    closeModal();
-                    render();
+                    projects.push({ project, exists: existingIds.has(project.id) });
                 }
-                break;
-            case 'confirm-proceed': handleConfirmationProceed(); break;
-            case 'set-target-cancel': closeModal(); break;
-            case 'set-target-proceed': handleSetTargetProceed(); break;
+            });
+        } catch (error) {
+            console.error("Failed to read backup:", error);
+            showToast("Error reading the backup.", 'error');
+            return;
         }
+
+        appState.importContext = { backup, projects, invalid };
+        showModal('importBackup');
     }
-    
-    // Central handler for the "Proceed" button in the confirmation modal.
-    function handleConfirmationProceed() {
-        const { onConfirm } = appState.confirmationContext;
 
-        if (onConfirm && typeof onConfirm === 'function') {
-            onConfirm();
+    // Checks the outer structure of a backup file. Returns an error message, or null if it's usable.
+    function validateBackup(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+            return "That file isn't a Crochet Counter backup.";
         }
-        
-        closeModal();
-        render();
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return "The backup file has no valid version.";
+        }
+        if (backup.version > BACKUP_VERSION) {
+            return "This backup was made by a newer version of the app. Please update and try again.";
+        }
+        if (!Array.isArray(backup.projects)) {
+            return "The backup file contains no project list.";
+        }
+        if (backup.templates != null && !Array.isArray(backup.templates)) {
+            return "The backup file has an invalid template list.";
+        }
+        return null;
     }
 
-    // --- SETTINGS --- //
-    
-    function loadSettings() {
-        const savedSettings = localStorage.getItem('crochetCounterSettings');
-        if (savedSettings) {
-            appState.settings = { ...appState.settings, ...JSON.parse(savedSettings) };
+    // Checks that a template from a backup has an ID, a name and at least a main counter.
+    // Checks a template from a backup, including that its layout makes a valid project.
+    function isValidTemplate(template) {
+        if (!template || typeof template.id !== 'string' || typeof template.name !== 'string'
+            || !template.layout || !Array.isArray(template.layout.c) || template.layout.c.length === 0) {
+            return false;
+        }
+        try {
+            const project = projectFromTemplate(template);
+            project.id = 'template'; // Placeholder so the project can be checked against the schema
+            return validateProject(project).length === 0;
+        } catch (error) {
+            return false;
         }
     }
 
-    function saveSettings() {
-        localStorage.setItem('crochetCounterSettings', JSON.stringify(appState.settings));
+    // Reads the settings from a backup over the current ones. A value of the wrong type, or
+    // one that Settings doesn't offer, gets the default instead; settings missing from the
+    // backup are left as they are.
+    function settingsFromBackup(imported) {
+        const settings = structuredClone(appState.settings);
+        if (!imported || typeof imported !== 'object') return settings;
+
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (!(key in imported)) return;
+            const value = imported[key];
+            if (key === 'keyBindings') {
+                settings.keyBindings = keyBindingsFromBackup(value);
+                return;
+            }
+            const isValid = SETTING_CHOICES[key]
+                ? SETTING_CHOICES[key].includes(value)
+                : typeof value === typeof DEFAULT_SETTINGS[key];
+            settings[key] = isValid ? value : DEFAULT_SETTINGS[key];
+        });
+        return settings;
     }
 
-    // --- HELPERS & UTILITIES --- //
+    // Reads key bindings from a backup. Each action needs a list of key combos; actions
+    // without one get their default keys, and actions the app doesn't have are dropped.
+    function keyBindingsFromBackup(imported) {
+        const bindings = structuredClone(DEFAULT_KEY_BINDINGS);
+        if (!imported || typeof imported !== 'object') return bindings;
+        Object.keys(bindings).forEach(action => {
+            const combos = imported[action];
+            if (Array.isArray(combos) && combos.every(combo => typeof combo === 'string')) {
+                bindings[action] = [...combos];
+            }
+        });
+        return bindings;
+    }
 
-    function findCounter(counterId) {
-        const project = appState.activeProject;
-        if (!project) return null;
-        if (counterId === 'main') return project.mainCounter;
-        return project.subCounters.find(c => c.id === counterId);
+    // Checks a project record against the project schema. Returns a list of problems (empty if valid).
+    function validateProject(project) {
+        if (!project || typeof project !== 'object') return ['not an object'];
+
+        const errors = [];
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const checkCounter = (counter, label) => {
+            if (!counter || typeof counter !== 'object') {
+                errors.push(`${label} is missing`);
+                return;
+            }
+            if (typeof counter.id !== 'string' || !counter.id) errors.push(`${label} has no ID`);
+            if (typeof counter.name !== 'string') errors.push(`${label} has no name`);
+            if (!isNumber(counter.value)) errors.push(`${label} has no valid value`);
+            if (counter.target != null && !isNumber(counter.target)) errors.push(`${label} has an invalid target`);
+            if (counter.plan != null && !isValidPlan(counter.plan)) errors.push(`${label} has an invalid shaping plan`);
+            if (!isValidCounterType(counter)) errors.push(`${label} has invalid counter settings`);
+            if (!Array.isArray(counter.milestones) || !counter.milestones.every(isValidMilestone)) {
+                errors.push(`${label} has invalid milestones`);
+            }
+        };
+
+        if (project.schemaVersion > PROJECT_SCHEMA_VERSION) return ['saved by a newer version of the app'];
+        if (typeof project.id !== 'string' || !project.id) errors.push('missing ID');
+        if (typeof project.name !== 'string') errors.push('missing name');
+        if (!isNumber(project.lastModified)) errors.push('missing last modified date');
+        if (!project.timer || !isNumber(project.timer.totalElapsedMs)) errors.push('invalid timer');
+
+        checkCounter(project.mainCounter, 'Main counter');
+        if (!Array.isArray(project.subCounters)) {
+            errors.push('sub-counters are not a list');
+        } else {
+            project.subCounters.forEach((c, i) => checkCounter(c, `Sub-counter ${i + 1}`));
+        }
+
+        if (project.deletedCounters != null) {
+            if (!Array.isArray(project.deletedCounters)) {
+                errors.push('deleted sub-counters are not a list');
+            } else {
+                project.deletedCounters.forEach((entry, i) => {
+                    if (!entry || !isNumber(entry.deletedAt) || !Array.isArray(entry.history) || !Array.isArray(entry.children)) {
+                        errors.push(`Deleted sub-counter ${i + 1} is invalid`);
+                    } else {
+                        checkCounter(entry.counter, `Deleted sub-counter ${i + 1}`);
+                    }
+                });
+            }
+        }
+        if (project.incrementHistory != null && (!Array.isArray(project.incrementHistory)
+            || project.incrementHistory.some(h => !h || typeof h.counterId !== 'string' || !isNumber(h.timestamp)))) {
+            errors.push('invalid increment history');
+        }
+        if (project.instructions != null && (!Array.isArray(project.instructions)
+            || project.instructions.some(i => !i || !isNumber(i.from) || !isNumber(i.to) || typeof i.text !== 'string'))) {
+            errors.push('invalid pattern instructions');
+        }
+        if (project.notes != null && typeof project.notes !== 'string') errors.push('invalid notes');
+        if (project.patternUrl != null && typeof project.patternUrl !== 'string') errors.push('invalid pattern link');
+        if (project.status != null && !PROJECT_STATUSES.includes(project.status)) errors.push('invalid status');
+        if (project.materials != null && (typeof project.materials !== 'object'
+            || !Array.isArray(project.materials.yarns) || !Array.isArray(project.materials.hooks))) {
+            errors.push('invalid materials');
+        }
+        if (project.tags != null && (!Array.isArray(project.tags) || project.tags.some(t => typeof t !== 'string'))) {
+            errors.push('invalid tags');
+        }
+        if (errors.length === 0 && hasLinkLoop([project.mainCounter, ...project.subCounters])) {
+            errors.push('counters are linked in a loop');
+        }
+
+        return errors;
     }
 
-    function formatTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const hours = Math.floor(totalSeconds / 3600);
-        const minutes = Math.floor((totalSeconds % 3600) / 60);
-        const seconds = totalSeconds % 60;
-        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    // Whether following the counters' links from any of them comes back round to a counter
+    // already passed. Rolling over would then never end.
+    function hasLinkLoop(counters) {
+        const byId = new Map(counters.map(c => [c.id, c]));
+        return counters.some(counter => {
+            const passed = new Set();
+            for (let current = counter; current; current = byId.get(current.parentId)) {
+                if (passed.has(current.id)) return true;
+                passed.add(current.id);
+            }
+            return false;
+        });
     }
-    
-    // Calculates the estimated time to complete a counter's target based on increment history.
-    function calculateETA(counter) {
-        if (!counter.target || counter.target <= counter.value) return null;
 
-        const project = appState.activeProject;
-        if (!project || !project.incrementHistory || project.incrementHistory.length === 0) return null;
+    // Fills the import preview modal from the current import context.
+    function renderImportPreview() {
+        const { backup, projects, invalid } = appState.importContext;
+        const existingCount = projects.filter(p => p.exists).length;
+        const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'an unknown date';
 
-        // Increments specific to this counter (sorted oldest->newest)
-        const incrementsForCounter = project.incrementHistory
-            .filter(h => h.counterId === counter.id)
-            .sort((a, b) => a.timestamp - b.timestamp);
+        dom.importSummary.textContent = `Backup from ${exportedAt}: ${projects.length} project${projects.length === 1 ? '' : 's'}`
+            + (existingCount ? `, ${existingCount} already on this device.` : '.');
 
-        // Global increments across the project as a fallback (sorted oldest->newest)
-        const globalIncrements = project.incrementHistory.slice().sort((a, b) => a.timestamp - b.timestamp);
+        dom.importList.innerHTML = projects.map(({ project, exists }) => `
+            <div class="flex items-center justify-between p-2 rounded-md bg-gray-100 dark:bg-gray-700/50">
+                <div>
+                    <p class="font-semibold">${escapeHTML(project.name)}</p>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">${escapeHTML(project.mainCounter.name)}: ${project.mainCounter.value} &bull; Last modified: ${new Date(project.lastModified).toLocaleDateString()}</p>
+                </div>
+                <span class="text-xs font-semibold px-2 py-1 rounded-full ${exists ? 'bg-amber-500/20 text-amber-600 dark:text-amber-400' : 'bg-green-500/20 text-green-600 dark:text-green-400'}">${exists ? 'Exists' : 'New'}</span>
+            </div>
+        `).join('') + invalid.map(({ name, errors }) => `
+            <div class="p-2 rounded-md bg-red-500/10">
+                <p class="font-semibold text-red-600 dark:text-red-400">${escapeHTML(name)} (will be skipped)</p>
+                <p class="text-sm text-gray-500 dark:text-gray-400">${escapeHTML(errors.join(', '))}</p>
+            </div>
+        `).join('');
 
-        // Compute average time per increment given a sorted array of increment records.
-        const computeAvgTimePerIncrement = (incArr) => {
-            if (!incArr || incArr.length === 0) return null;
+        dom.importSettingsToggle.checked = false;
+        dom.importSettingsToggle.disabled = !backup.settings;
+    }
 
-            const totalTime = appState.activeProject.timer.totalElapsedMs;
-            const totalIncrements = incArr.length;
+    // Writes the previewed projects through saveProject, resolving existing IDs with the chosen strategy:
+    // 'merge' keeps whichever copy was modified last, 'replace' overwrites, 'skip' keeps the device's copy.
+    async function handleImportProceed() {
+        await flushPendingSave();
+        const { backup, projects } = appState.importContext;
+        const strategy = dom.modals.importBackup.querySelector('input[name="import-strategy"]:checked').value;
+        const includeSettings = dom.importSettingsToggle.checked && !!backup.settings;
 
-            if (totalTime > 0 && totalIncrements > 0) {
-                return totalTime / totalIncrements;
+        let imported = 0;
+        let failed = false;
+        try {
+            const existing = new Map((await getAllProjects()).map(p => [p.id, p]));
+            for (const { project } of projects) {
+                const current = existing.get(project.id);
+                if (current) {
+                    if (strategy === 'skip') continue;
+                    if (strategy === 'merge' && current.lastModified >= project.lastModified) continue;
+                    // A newer revision makes tabs with the old copy open pick up the import.
+                    project.revision = current.revision + 1;
+                    await takeSnapshot(current, 'Before importing a backup');
+                }
+                await saveProject(project);
+                broadcastSync('project-saved', project.id);
+                imported++;
             }
+            // Templates are never edited after saving, so a copy with the same ID can simply be overwritten.
+            const templates = Array.isArray(backup.templates) ? backup.templates : [];
+            for (const template of templates.filter(isValidTemplate)) {
+                await saveTemplate(template);
+            }
+        } catch (error) {
+            console.error("Failed to import backup:", error);
+            failed = true;
+        }
 
-            return null; // Not enough data to compute an average
-        };
+        // Settings come with a complete import only; projects saved before an error stay imported.
+        if (includeSettings && !failed) {
+            appState.settings = settingsFromBackup(backup.settings);
+            saveSettings();
+        }
+
+        await fetchSavedProjects();
 
-        // Prefer counter-specific average when available, otherwise fall back to global average
-        let avgTimePerIncrement = computeAvgTimePerIncrement(incrementsForCounter);
-        if (avgTimePerIncrement === null) {
-            avgTimePerIncrement = computeAvgTimePerIncrement(globalIncrements);
+        // If the active project was overwritten, switch to the imported copy.
+        const active = appState.activeProject;
+        const updatedActive = active.id && await getProject(active.id);
+        if (updatedActive && updatedActive.lastModified !== active.lastModified) {
+            setActiveProject(updatedActive);
         }
-        if (avgTimePerIncrement === null) return null;
 
-        const remainingIncrements = counter.target - counter.value;
-        const etaMs = remainingIncrements * avgTimePerIncrement;
+        closeModal();
+        render();
+        const count = `${imported} project${imported === 1 ? '' : 's'}`;
+        if (failed) {
+            showToast(`Error importing backup. Only ${count} imported.`, 'error');
+        } else {
+            showToast(`Imported ${count}.`, 'success');
+        }
+    }
+
+    // --- HELPERS & UTILITIES --- //
+
+    // Matches an optional "Row"/"Rnd"/"Round" prefix, a row number or range, and a separator,
+    // e.g. "Rnd 5:", "Rows 12–18:", "R3 -" or "7.".
+    const INSTRUCTION_PREFIX = /^((?:rows?|rnds?|rounds?|r)\.?\s*)?(\d+)(?:\s*(?:-|–|—|to)\s*(\d+))?(?:\s*([:.)\-–—]))?\s*/i;
+
+    // Parses pasted pattern text into ordered instructions, one per line.
+    // Lines without a recognised row prefix continue on from the previous row.
+    function parseInstructions(text) {
+        const instructions = [];
+        let nextRow = 1;
+
+        text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const match = line.match(INSTRUCTION_PREFIX);
+            // A bare number needs a separator, so "5 sc in ring" isn't mistaken for row 5.
+            if (match && (match[1] || match[4])) {
+                const from = parseInt(match[2], 10);
+                const to = match[3] ? Math.max(from, parseInt(match[3], 10)) : from;
+                const label = match[0].replace(/[\s:.)\-–—]+$/, '');
+                instructions.push({ from, to, label, text: line.slice(match[0].length) });
+                nextRow = to + 1;
+            } else {
+                instructions.push({ from: nextRow, to: nextRow, label: '', text: line });
+                nextRow++;
+            }
+        });
+
+        return instructions;
+    }
+
+    // Turns instructions back into the editable text form accepted by parseInstructions.
+    function instructionsToText(instructions) {
+        return instructions.map(i => i.label ? `${i.label}: ${i.text}` : i.text).join('\n');
+    }
+
+    // Finds the instruction covering a row. Later lines win when ranges overlap.
+    function findInstruction(instructions, row) {
+        for (let i = instructions.length - 1; i >= 0; i--) {
+            if (instructions[i].from <= row && row <= instructions[i].to) return instructions[i];
+        }
+        return null;
+    }
+
+    // Escapes user-entered text for safe use inside generated HTML.
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Moves a day key forwards or backwards by a number of days.
+    function shiftDayKey(dayKey, days) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return toDayKey(new Date(year, month - 1, day + days).getTime());
+    }
 
-        const minutes = Math.ceil(etaMs / 60000);
-        if (minutes < 1) return "ETA: < 1 min";
-        if (minutes < 60) return `ETA: ~${minutes} min`;
-        const hours = Math.floor(minutes / 60);
-        const remMinutes = minutes % 60;
-        return `ETA: ~${hours}h ${remMinutes}m`;
+    // Labels a day key for charts: the weekday initial when short, otherwise the full date.
+    function formatDayLabel(dayKey, short = false) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return short
+            ? date.toLocaleDateString(undefined, { weekday: 'narrow' })
+            : date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
     }
 
     // --- PWA SERVICE WORKER --- //
 
+    // Registers the service worker and watches for new versions. A new worker waits until
+    // the user chooses to reload, so the app never changes under them mid-project.
     function registerServiceWorker() {
         if ('serviceWorker' in navigator) {
             window.addEventListener('load', () => {
                 navigator.serviceWorker.register('/service-worker.js')
-                    .then(reg => console.log('Service Worker registered.', reg))
+                    .then(reg => {
+                        console.log('Service Worker registered.', reg);
+                        // A version that finished installing on an earlier visit is still waiting.
+                        if (reg.waiting && navigator.serviceWorker.controller) showUpdateToast(reg.waiting);
+                        reg.addEventListener('updatefound', () => {
+                            const worker = reg.installing;
+                            worker.addEventListener('statechange', () => {
+                                // Without a controller this is the first install, not an update.
+                                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                                    showUpdateToast(worker);
+                                }
+                            });
+                        });
+                    })
                     .catch(err => console.log('Service Worker registration failed: ', err));
             });
         }
     }
 
-    // Listens for when a new service worker takes control.
+    // Listens for the new service worker taking control (after the user tapped Reload), and
+    // for the worker reporting files it couldn't cache for offline use.
     function setupServiceWorkerUpdateListener() {
         if ('serviceWorker' in navigator) {
+            let isReloading = false;
             navigator.serviceWorker.addEventListener('controllerchange', () => {
-                // This event fires when the new service worker has successfully activated.
-                showUpdateToast();
+                if (isReloading) return;
+                isReloading = true;
+                window.location.reload();
+            });
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'precache-failed') {
+                    showToast(`Couldn't save the app for offline use (${e.data.failed.join(', ')} failed). It will try again next time.`, 'error', 8000);
+                }
             });
         }
     }
 
-    // Creates and injects a toast notification to prompt the user to reload.
-    function showUpdateToast() {
+    // Creates and injects a banner offering to switch to the waiting service worker's version.
+    function showUpdateToast(worker) {
+        if (document.getElementById('update-banner')) return;
+
         // Create banner element
         const banner = document.createElement('div');
         banner.id = 'update-banner';
         banner.textContent = 'A new version is available!';
-
-        // Style the banner
-        banner.style.position = 'fixed';
-        banner.style.bottom = '20px';
-        banner.style.left = '50%';
-        banner.style.transform = 'translateX(-50%)';
-        banner.style.padding = '12px 20px';
-        banner.style.backgroundColor = '#1f2937'; // dark-gray consistent with theme
-        banner.style.color = '#e5e7eb'; // light-gray text
-        banner.style.borderRadius = '9999px';
-        banner.style.boxShadow = '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)';
-        banner.style.zIndex = '10000';
-        banner.style.display = 'flex';
-        banner.style.alignItems = 'center';
-        banner.style.gap = '12px';
+        banner.className = 'fixed bottom-5 left-1/2 -translate-x-1/2 z-[10000] flex items-center gap-3 px-5 py-3 rounded-full shadow-lg bg-white text-gray-800 dark:bg-gray-800 dark:text-gray-200';
 
         // Create reload button
         const reloadButton = document.createElement('button');
         reloadButton.textContent = 'Reload';
+        reloadButton.className = 'px-4 py-2 rounded-full bg-violet-600 text-white font-medium hover:bg-violet-700';
 
-        // Style the button
-        reloadButton.style.border = 'none';
-        reloadButton.style.backgroundColor = '#7c3aed'; // violet-600
-        reloadButton.style.color = 'white';
-        reloadButton.style.padding = '8px 16px';
-        reloadButton.style.borderRadius = '9999px';
-        reloadButton.style.cursor = 'pointer';
-        reloadButton.style.fontWeight = '500';
-
-        // Add event listener to the button
-        reloadButton.addEventListener('click', () => {
-            window.location.reload();
+        // Save the latest time and counts, then let the new worker take over. The page
+        // reloads once it has (see setupServiceWorkerUpdateListener).
+        reloadButton.addEventListener('click', async () => {
+            reloadButton.disabled = true;
+            if (appState.activeProject && appState.activeProject.id) {
+                updateTimer();
+                saveActiveProject(true);
+                await flushPendingSave();
+            }
+            worker.postMessage({ type: 'skip-waiting' });
         });
 
         // Append button to banner and banner to body
@@ -938,12 +4333,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (action === 'load-project') {
             loadProject(id);
+        } else if (action === 'filter-tag') {
+            updateProjectQuery({ tag: target.dataset.tag });
+        } else if (action === 'clear-tag-filter') {
+            updateProjectQuery({ tag: null });
         } else if (action === 'delete-project') {
-            showConfirmation({
-                title: `Delete "${name}"?`,
-                message: 'This project will be permanently removed from your device.',
-                onConfirm: () => handleProjectDeletion(id)
-            });
+            confirmProjectDeletion(id, name);
         }
     }
 
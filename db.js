@@ -1,8 +1,62 @@
 // db.js: IndexedDB wrapper module for storing and retrieving project data.
 
 const DB_NAME = 'crochetCounterDB';
-const DB_VERSION = 1;
 const STORE_NAME = 'projects';
+const TEMPLATES_STORE_NAME = 'templates';
+const ATTACHMENTS_STORE_NAME = 'attachments';
+const TRASH_STORE_NAME = 'trash';
+const SNAPSHOTS_STORE_NAME = 'snapshots';
+
+/**
+ * Database migrations, keyed by the database version they upgrade to.
+ * Each runs inside the upgrade transaction when an older database is opened,
+ * in order, starting after the version already on the device.
+ * To change stores or indexes, add a new entry; never edit a released one.
+ */
+const DB_MIGRATIONS = {
+    1: (dbInstance) => {
+        const objectStore = dbInstance.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        // Create an index to allow querying/sorting by lastModified timestamp.
+        objectStore.createIndex('lastModified', 'lastModified', { unique: false });
+    },
+    // Indexes the library fields so the projects list can filter without a full scan.
+    2: (dbInstance, transaction) => {
+        const objectStore = transaction.objectStore(STORE_NAME);
+        objectStore.createIndex('status', 'status', { unique: false });
+        objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        // Records without a status would be missing from the status index, so backfill them.
+        objectStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (!cursor.value.status) {
+                cursor.update({ ...cursor.value, status: 'active', tags: cursor.value.tags || [] });
+            }
+            cursor.continue();
+        };
+    },
+    // Adds the store for user-saved project templates.
+    3: (dbInstance) => {
+        dbInstance.createObjectStore(TEMPLATES_STORE_NAME, { keyPath: 'id' });
+    },
+    // Adds the store for pattern files attached to projects.
+    4: (dbInstance) => {
+        const objectStore = dbInstance.createObjectStore(ATTACHMENTS_STORE_NAME, { keyPath: 'id' });
+        objectStore.createIndex('projectId', 'projectId', { unique: false });
+    },
+    // Adds the store for deleted projects awaiting restore or purge.
+    5: (dbInstance) => {
+        const objectStore = dbInstance.createObjectStore(TRASH_STORE_NAME, { keyPath: 'id' });
+        objectStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+    },
+    // Adds the store for point-in-time copies of projects.
+    6: (dbInstance) => {
+        const objectStore = dbInstance.createObjectStore(SNAPSHOTS_STORE_NAME, { keyPath: 'id' });
+        objectStore.createIndex('projectId', 'projectId', { unique: false });
+    },
+};
+
+// The database version is always the newest migration.
+const DB_VERSION = Math.max(...Object.keys(DB_MIGRATIONS).map(Number));
 
 // Holds the database connection instance.
 let db;
@@ -29,17 +83,26 @@ async function initDB() {
 
         request.onsuccess = (event) => {
             db = event.target.result;
+            // Let a newer version in another tab upgrade the database; reconnect on next use.
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
             resolve(db);
         };
 
+        // Another tab still holds an older version open, so the upgrade has to wait.
+        request.onblocked = () => {
+            console.warn('Database upgrade blocked by another open tab.');
+        };
+
         // This event only runs if the database version changes.
-        // It's used to set up the database schema.
+        // It runs every migration between the device's version and the current one.
         request.onupgradeneeded = (event) => {
             const dbInstance = event.target.result;
-            if (!dbInstance.objectStoreNames.contains(STORE_NAME)) {
-                const objectStore = dbInstance.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                // Create an index to allow querying/sorting by lastModified timestamp.
-                objectStore.createIndex('lastModified', 'lastModified', { unique: false });
+            const transaction = event.target.transaction;
+            for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                DB_MIGRATIONS[version](dbInstance, transaction);
             }
         };
     });
@@ -63,6 +126,37 @@ async function saveProject(projectObject) {
     });
 }
 
+/**
+ * Saves a project only if the stored copy is still at the revision the changes were made on,
+ * so a newer copy saved by another tab is never silently overwritten. The check and the
+ * write happen in one transaction. On success the project's revision is bumped.
+ * @param {object} project - The project to save.
+ * @param {number|null} baseRevision - The revision the changes were made on, or null for a project not saved yet.
+ * @returns {Promise<{saved: boolean, current?: object}>} When not saved, `current` is the newer stored copy.
+ */
+async function saveProjectRevision(project, baseRevision) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        let result;
+
+        store.get(project.id).onsuccess = (event) => {
+            const stored = event.target.result && upgradeProject(event.target.result);
+            if (stored && stored.revision !== baseRevision) {
+                result = { saved: false, current: stored };
+                return;
+            }
+            project.revision = (stored ? stored.revision : 0) + 1;
+            store.put(project);
+            result = { saved: true };
+        };
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = (event) => reject('Error saving project:', event.target.error);
+    });
+}
+
 /**
  * Retrieves all projects, sorted by last modified date (newest first).
  * @returns {Promise<Array<object>>} A sorted array of project objects.
@@ -78,13 +172,89 @@ async function getAllProjects() {
 
         request.onsuccess = () => {
             // Sort descending (newest first) after retrieving.
-            const sorted = request.result.sort((a, b) => b.lastModified - a.lastModified);
+            const sorted = request.result
+                .map(upgradeProject)
+                .sort((a, b) => b.lastModified - a.lastModified);
             resolve(sorted);
         };
         request.onerror = (event) => reject('Error fetching projects:', event.target.error);
     });
 }
 
+/**
+ * Retrieves a single project by its ID.
+ * @param {string} projectId - The ID of the project to fetch.
+ * @returns {Promise<object|undefined>} The project, or undefined if it does not exist.
+ */
+async function getProject(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        const store = transaction.objectStore(STORE_NAME);
+        const request = store.get(projectId);
+
+        request.onsuccess = () => resolve(request.result && upgradeProject(request.result));
+        request.onerror = (event) => reject('Error fetching project:', event.target.error);
+    });
+}
+
+/**
+ * Finds the projects matching a library query.
+ * A tag narrows the scan through the tags index, otherwise each requested
+ * status is read through the status index. Only matching records are kept.
+ * @param {object} [query]
+ * @param {string[]} [query.statuses] - Statuses to include; all when omitted.
+ * @param {string|null} [query.tag] - Only include projects with this tag.
+ * @param {string} [query.text] - Case-insensitive text to find in the name, notes, tags or materials.
+ * @returns {Promise<Array<object>>} The matching projects, newest first.
+ */
+async function queryProjects({ statuses = PROJECT_STATUSES, tag = null, text = '' } = {}) {
+    const db = await initDB();
+    const needle = text.trim().toLowerCase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        const store = transaction.objectStore(STORE_NAME);
+        const matches = [];
+
+        const collect = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            const project = upgradeProject(cursor.value);
+            if (statuses.includes(project.status) && projectMatchesText(project, needle)) {
+                matches.push(project);
+            }
+            cursor.continue();
+        };
+
+        const requests = tag
+            ? [store.index('tags').openCursor(IDBKeyRange.only(tag))]
+            : statuses.map(status => store.index('status').openCursor(IDBKeyRange.only(status)));
+        requests.forEach(request => {
+            request.onsuccess = collect;
+        });
+
+        transaction.oncomplete = () => resolve(matches.sort((a, b) => b.lastModified - a.lastModified));
+        transaction.onerror = (event) => reject(new Error(`Error searching projects: ${event.target.error}`));
+        // An exception while reading a record aborts the transaction without an error event.
+        transaction.onabort = () => reject(new Error(`Error searching projects: ${transaction.error || 'aborted'}`));
+    });
+}
+
+/**
+ * Checks whether a project's searchable text contains a lowercase needle.
+ * @param {object} project - The project to check.
+ * @param {string} needle - Lowercase text to look for; an empty needle matches everything.
+ * @returns {boolean} True if the name, notes, a tag, a yarn or a hook size contains the needle.
+ */
+function projectMatchesText(project, needle) {
+    if (!needle) return true;
+    const { yarns, hooks } = project.materials;
+    const yarnText = yarns.map(y => [y.brand, y.colourway, y.weight, y.fibre, y.dyeLot].join(' '));
+    // Imported or merged records may lack a field, so read each one as text.
+    return [project.name, project.notes, ...project.tags, ...yarnText, ...hooks.map(h => h.size)]
+        .some(field => String(field ?? '').toLowerCase().includes(needle));
+}
+
 /**
  * Deletes a project by its ID.
  * @param {string} projectId - The ID of the project to delete.
@@ -100,4 +270,310 @@ async function deleteProject(projectId) {
         request.onsuccess = () => resolve();
         request.onerror = (event) => reject('Error deleting project:', event.target.error);
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Moves a project to the trash, where it can be restored until it is purged.
+ * Its attachments stay in place, keyed by the project ID.
+ * @param {string} projectId - The ID of the project to trash.
+ * @returns {Promise<boolean>} Whether a project with that ID was found.
+ */
+async function trashProject(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, TRASH_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        let found = false;
+
+        store.get(projectId).onsuccess = (event) => {
+            const project = event.target.result;
+            if (!project) return;
+            found = true;
+            transaction.objectStore(TRASH_STORE_NAME).put({ id: projectId, deletedAt: Date.now(), project });
+            store.delete(projectId);
+        };
+
+        transaction.oncomplete = () => resolve(found);
+        transaction.onerror = (event) => reject('Error trashing project:', event.target.error);
+    });
+}
+
+/**
+ * Retrieves the projects in the trash, most recently deleted first.
+ * @returns {Promise<Array<{id: string, deletedAt: number, project: object}>>} The trash entries.
+ */
+async function getTrashedProjects() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TRASH_STORE_NAME, 'readonly');
+        const request = transaction.objectStore(TRASH_STORE_NAME).getAll();
+
+        request.onsuccess = () => {
+            const entries = request.result
+                .map(entry => ({ ...entry, project: upgradeProject(entry.project) }))
+                .sort((a, b) => b.deletedAt - a.deletedAt);
+            resolve(entries);
+        };
+        request.onerror = (event) => reject('Error fetching trash:', event.target.error);
+    });
+}
+
+/**
+ * Moves a project from the trash back into the projects store.
+ * @param {string} projectId - The ID of the project to restore.
+ * @returns {Promise<object|undefined>} The restored project, or undefined if it was not in the trash.
+ */
+async function restoreProject(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, TRASH_STORE_NAME], 'readwrite');
+        const trash = transaction.objectStore(TRASH_STORE_NAME);
+        let project;
+
+        trash.get(projectId).onsuccess = (event) => {
+            const entry = event.target.result;
+            if (!entry) return;
+            project = upgradeProject(entry.project);
+            transaction.objectStore(STORE_NAME).put(project);
+            trash.delete(projectId);
+        };
+
+        transaction.oncomplete = () => resolve(project);
+        transaction.onerror = (event) => reject('Error restoring project:', event.target.error);
+    });
+}
+
+/**
+ * Permanently deletes projects from the trash: one by ID, or all deleted before a time.
+ * Their attachments are not touched; delete them with deleteProjectAttachments().
+ * @param {object} options
+ * @param {string} [options.projectId] - The ID of a single project to purge.
+ * @param {number} [options.deletedBefore] - Purge every project deleted before this timestamp.
+ * @returns {Promise<string[]>} The IDs of the purged projects.
+ */
+async function purgeTrash({ projectId, deletedBefore }) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TRASH_STORE_NAME, 'readwrite');
+        const trash = transaction.objectStore(TRASH_STORE_NAME);
+        const range = projectId !== undefined ? IDBKeyRange.only(projectId) : IDBKeyRange.upperBound(deletedBefore, true);
+        const source = projectId !== undefined ? trash : trash.index('deletedAt');
+        const purged = [];
+
+        source.openCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            purged.push(cursor.value.id);
+            cursor.delete();
+            cursor.continue();
+        };
+
+        transaction.oncomplete = () => resolve(purged);
+        transaction.onerror = (event) => reject('Error purging trash:', event.target.error);
+    });
+}
+
+/**
+ * Saves or updates a project template in the database.
+ * @param {object} template - The template to save.
+ * @returns {Promise<string>} The ID of the saved template.
+ */
+async function saveTemplate(template) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TEMPLATES_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(TEMPLATES_STORE_NAME);
+        const request = store.put(template);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject('Error saving template:', event.target.error);
+    });
+}
+
+/**
+ * Retrieves all saved templates, sorted by name.
+ * @returns {Promise<Array<object>>} A sorted array of template objects.
+ */
+async function getAllTemplates() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TEMPLATES_STORE_NAME, 'readonly');
+        const store = transaction.objectStore(TEMPLATES_STORE_NAME);
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+        };
+        request.onerror = (event) => reject('Error fetching templates:', event.target.error);
+    });
+}
+
+/**
+ * Deletes a template by its ID.
+ * @param {string} templateId - The ID of the template to delete.
+ * @returns {Promise<void>} A promise that resolves when the deletion is complete.
+ */
+async function deleteTemplate(templateId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TEMPLATES_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(TEMPLATES_STORE_NAME);
+        const request = store.delete(templateId);
+
+        request.onsuccess = () => resolve();
+        request.onerror = (event) => reject('Error deleting template:', event.target.error);
+    });
+}
+
+/**
+ * Saves or updates an attachment, including its file blob.
+ * @param {object} attachment - The attachment to save.
+ * @returns {Promise<string>} The ID of the saved attachment.
+ */
+async function saveAttachment(attachment) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ATTACHMENTS_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const request = store.put(attachment);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject('Error saving attachment:', event.target.error);
+    });
+}
+
+/**
+ * Retrieves the attachments of a project, oldest first.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<Array<object>>} The project's attachments.
+ */
+async function getAttachments(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ATTACHMENTS_STORE_NAME, 'readonly');
+        const index = transaction.objectStore(ATTACHMENTS_STORE_NAME).index('projectId');
+        const request = index.getAll(IDBKeyRange.only(projectId));
+
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt - b.createdAt));
+        request.onerror = (event) => reject('Error fetching attachments:', event.target.error);
+    });
+}
+
+/**
+ * Deletes an attachment by its ID.
+ * @param {string} attachmentId - The ID of the attachment to delete.
+ * @returns {Promise<void>} A promise that resolves when the deletion is complete.
+ */
+async function deleteAttachment(attachmentId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ATTACHMENTS_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(ATTACHMENTS_STORE_NAME);
+        const request = store.delete(attachmentId);
+
+        request.onsuccess = () => resolve();
+        request.onerror = (event) => reject('Error deleting attachment:', event.target.error);
+    });
+}
+
+/**
+ * Deletes every attachment of a project.
+ * @param {string} projectId - The ID of the project whose attachments to delete.
+ * @returns {Promise<void>} A promise that resolves when the deletion is complete.
+ */
+async function deleteProjectAttachments(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ATTACHMENTS_STORE_NAME, 'readwrite');
+        const index = transaction.objectStore(ATTACHMENTS_STORE_NAME).index('projectId');
+        const request = index.openKeyCursor(IDBKeyRange.only(projectId));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            transaction.objectStore(ATTACHMENTS_STORE_NAME).delete(cursor.primaryKey);
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error deleting attachments:', event.target.error);
+    });
+}
+
+/**
+ * Saves a point-in-time copy of a project.
+ * @param {object} snapshot - The snapshot: { id, projectId, takenAt, reason, project }.
+ * @returns {Promise<string>} A promise that resolves with the ID of the saved snapshot.
+ */
+async function saveSnapshot(snapshot) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SNAPSHOTS_STORE_NAME, 'readwrite');
+        const request = transaction.objectStore(SNAPSHOTS_STORE_NAME).put(snapshot);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject('Error saving snapshot:', event.target.error);
+    });
+}
+
+/**
+ * Retrieves every snapshot of a project, newest first, with the copies upgraded
+ * to the current schema.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<Array<object>>} A promise that resolves with the project's snapshots.
+ */
+async function getSnapshots(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SNAPSHOTS_STORE_NAME, 'readonly');
+        const index = transaction.objectStore(SNAPSHOTS_STORE_NAME).index('projectId');
+        const request = index.getAll(IDBKeyRange.only(projectId));
+
+        request.onsuccess = () => {
+            const snapshots = request.result
+                .map(snapshot => ({ ...snapshot, project: upgradeProject(snapshot.project) }))
+                .sort((a, b) => b.takenAt - a.takenAt);
+            resolve(snapshots);
+        };
+        request.onerror = (event) => reject('Error fetching snapshots:', event.target.error);
+    });
+}
+
+/**
+ * Deletes snapshots by ID.
+ * @param {string[]} snapshotIds - The IDs of the snapshots to delete.
+ * @returns {Promise<void>} A promise that resolves when the deletion is complete.
+ */
+async function deleteSnapshots(snapshotIds) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SNAPSHOTS_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(SNAPSHOTS_STORE_NAME);
+        snapshotIds.forEach(id => store.delete(id));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error deleting snapshots:', event.target.error);
+    });
+}
+
+/**
+ * Deletes every snapshot of a project.
+ * @param {string} projectId - The ID of the project whose snapshots to delete.
+ * @returns {Promise<void>} A promise that resolves when the deletion is complete.
+ */
+async function deleteProjectSnapshots(projectId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SNAPSHOTS_STORE_NAME, 'readwrite');
+        const index = transaction.objectStore(SNAPSHOTS_STORE_NAME).index('projectId');
+        const request = index.openKeyCursor(IDBKeyRange.only(projectId));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            transaction.objectStore(SNAPSHOTS_STORE_NAME).delete(cursor.primaryKey);
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error deleting snapshots:', event.target.error);
+    });
+}
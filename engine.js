@@ -0,0 +1,883 @@
+// engine.js: The project model and the operations on it, free of the page and of storage.
+// In the page it is a classic script whose declarations are globals, like db.js. Under Node
+// it is a CommonJS module, so projects can be scripted and checked without a browser:
+//
+//     const { createProjectEngine } = require('./engine.js');
+//     const engine = createProjectEngine();
+//     engine.on('change', (event) => console.log(event.action, engine.project.mainCounter.value));
+//     engine.increment('main');
+
+/**
+ * Project record upgrades, keyed by the schema version they produce.
+ * Records saved before schema versions existed are treated as version 0.
+ * Each upgrade mutates the record in place and may assume the previous
+ * version's shape. To add or reshape fields, bump PROJECT_SCHEMA_VERSION
+ * and add a new entry; never edit a released one.
+ */
+const PROJECT_UPGRADES = {
+    // Fills in every field the app relies on, for records saved by early versions.
+    1: (project) => {
+        project.name = typeof project.name === 'string' ? project.name : 'Untitled Project';
+        project.lastModified = project.lastModified || Date.now();
+        project.timer = {
+            totalElapsedMs: 0,
+            isPaused: true,
+            ...project.timer,
+        };
+        project.mainCounter = {
+            name: 'Row',
+            value: 0,
+            target: null,
+            ...project.mainCounter,
+            id: 'main',
+        };
+        project.subCounters = (project.subCounters || []).map(counter => ({
+            value: 0,
+            target: null,
+            parentId: null,
+            ...counter,
+        }));
+        project.incrementHistory = project.incrementHistory || [];
+        project.instructions = project.instructions || [];
+        project.notes = project.notes || '';
+        project.patternUrl = project.patternUrl || '';
+    },
+    // Adds the work session log.
+    2: (project) => {
+        project.sessions = project.sessions || [];
+    },
+    // Adds the library status and tags.
+    3: (project) => {
+        project.status = project.status || 'active';
+        project.tags = project.tags || [];
+    },
+    // Adds the structured materials record.
+    4: (project) => {
+        project.materials = project.materials || {
+            yarns: [],
+            hooks: [],
+            gauge: { stitches: null, rows: null },
+        };
+    },
+    // Adds the increase/decrease plan to sub-counters.
+    5: (project) => {
+        project.subCounters.forEach(counter => {
+            counter.plan = counter.plan || null;
+        });
+    },
+    // Adds the revision number used to detect saves from other tabs.
+    6: (project) => {
+        project.revision = project.revision || 0;
+    },
+    // Adds the counter type: step size, counting direction and bounds.
+    7: (project) => {
+        [project.mainCounter, ...project.subCounters].forEach(counter => {
+            counter.step = counter.step || 1;
+            counter.mode = counter.mode || 'up';
+            counter.start = counter.start ?? null;
+            counter.min = counter.min ?? null;
+            counter.max = counter.max ?? null;
+            counter.wrap = !!counter.wrap;
+        });
+    },
+    // Adds the milestone alerts.
+    8: (project) => {
+        [project.mainCounter, ...project.subCounters].forEach(counter => {
+            counter.milestones = counter.milestones || [];
+        });
+    },
+    // Adds the recently deleted sub-counters, kept for restore.
+    9: (project) => {
+        project.deletedCounters = project.deletedCounters || [];
+    },
+};
+
+// Every project status, in the order the library shows them.
+const PROJECT_STATUSES = ['active', 'paused', 'finished', 'frogged'];
+
+// The schema version of newly created projects.
+const PROJECT_SCHEMA_VERSION = Math.max(...Object.keys(PROJECT_UPGRADES).map(Number));
+
+// A gap longer than this between timer ticks (e.g. the device slept) starts a new work session.
+const SESSION_GAP_MS = 5 * 60 * 1000;
+
+// How many of a counter's most recent gaps between taps its pace is estimated from.
+const PACE_WINDOW = 20;
+// A pause between taps anywhere in the project longer than this many times the typical
+// gap (and at least PACE_IDLE_MIN_MS) counts as a break, not work.
+const PACE_IDLE_FACTOR = 5;
+const PACE_IDLE_MIN_MS = 2 * 60 * 1000;
+// With fewer gaps than this, a counter borrows the pace of counters rolling into it if
+// they know better, and its ETA is marked as rough.
+const PACE_MIN_SAMPLES = 3;
+// Width of the ETA range, in standard deviations (about 80% of finishes fall inside).
+const PACE_RANGE_Z = 1.28;
+
+/**
+ * Creates a blank project, not yet saved.
+ * @returns {object} A project record at the current schema version.
+ */
+function createDefaultProject() {
+    return {
+        id: null, // No ID means it's not saved
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        name: 'New Project',
+        lastModified: Date.now(),
+        timer: { totalElapsedMs: 0, isPaused: false, lastTick: Date.now() },
+        mainCounter: { id: 'main', name: 'Row', value: 0, target: null, milestones: [], ...createDefaultCounterType() },
+        subCounters: [],
+        incrementHistory: [],
+        instructions: [], // Ordered row/round instructions: { from, to, label, text }
+        sessions: [], // Work sessions: { start, end, durationMs, increments: { [counterId]: count } }
+        notes: '',
+        patternUrl: '',
+        status: 'active', // One of PROJECT_STATUSES
+        tags: [],
+        materials: createDefaultMaterials(),
+        deletedCounters: [], // Deleted sub-counters: { counter, index, children, history, deletedAt }, newest first
+        revision: 0, // Bumped on every save, to detect changes saved by another tab
+    };
+}
+
+/**
+ * Creates an empty materials record. Gauge is measured over a 10 cm swatch.
+ * @returns {object} The materials record.
+ */
+function createDefaultMaterials() {
+    return {
+        yarns: [], // { id, brand, colourway, weight, fibre, yardage, skeins, dyeLot }
+        hooks: [], // { id, kind: 'hook' | 'needles', size }
+        gauge: { stitches: null, rows: null },
+    };
+}
+
+/**
+ * Creates the settings of a plain counter: going up by one, with no bounds.
+ * @returns {object} The counter type fields.
+ */
+function createDefaultCounterType() {
+    return {
+        step: 1,
+        mode: 'up', // 'up', or 'down' to count down from start to the minimum (or zero)
+        start: null,
+        min: null,
+        max: null,
+        wrap: false, // Start over at the other end instead of stopping at a bound
+    };
+}
+
+// The time used in the last counter ID, so counters created within a millisecond still get different IDs.
+let lastCounterIdTime = 0;
+
+/**
+ * Creates an ID for a new counter, unique within this session.
+ * @returns {string} The ID, e.g. "counter-1700000000000".
+ */
+function createCounterId() {
+    lastCounterIdTime = Math.max(Date.now(), lastCounterIdTime + 1);
+    return `counter-${lastCounterIdTime}`;
+}
+
+/**
+ * Creates a sub-counter at zero.
+ * @param {object} [fields] - Fields to set instead of the defaults, e.g. a name.
+ * @returns {object} The new counter.
+ */
+function createSubCounter(fields = {}) {
+    return {
+        id: createCounterId(),
+        name: 'New Counter',
+        value: 0,
+        target: null,
+        parentId: null, // ID of the counter this one rolls over into when it reaches its target
+        plan: null, // Increase/decrease plan walked through by this counter, see planShaping()
+        milestones: [], // Alerts at the target, every N or at set values, see checkMilestones()
+        ...createDefaultCounterType(),
+        ...fields,
+    };
+}
+
+/**
+ * A counter's step, negative for countdowns.
+ * @param {object} counter - The counter.
+ * @returns {number} The change made by one tap.
+ */
+function getSignedStep(counter) {
+    const step = counter.step || 1;
+    return counter.mode === 'down' ? -step : step;
+}
+
+/**
+ * The lowest and highest values a counter can show. The floor is the minimum, or zero;
+ * countdowns top out at their start value, other counters at the maximum if they have one.
+ * @param {object} counter - The counter.
+ * @returns {{lower: number, upper: number|null}} The bounds; upper is null when there is none.
+ */
+function getCounterBounds(counter) {
+    const lower = counter.min ?? 0;
+    const upper = counter.mode === 'down' ? counter.start : counter.max;
+    return { lower, upper: upper ?? null };
+}
+
+/**
+ * Keeps a value within a counter's bounds.
+ * @param {object} counter - The counter.
+ * @param {number} value - The value to clamp.
+ * @returns {number} The nearest value the counter can show.
+ */
+function clampCounterValue(counter, value) {
+    const { lower, upper } = getCounterBounds(counter);
+    return Math.max(lower, upper === null ? value : Math.min(upper, value));
+}
+
+/**
+ * The value a counter starts from and returns to on reset.
+ * @param {object} counter - The counter.
+ * @returns {number} The start value.
+ */
+function getStartValue(counter) {
+    const { lower, upper } = getCounterBounds(counter);
+    return counter.mode === 'down' && upper !== null ? upper : lower;
+}
+
+/**
+ * Describes one pass through a counter: the value it starts at, and the value that ends
+ * the pass. That is the floor for countdowns, the value after the maximum for wrapping
+ * counters, and otherwise the target.
+ * @param {object} counter - The counter.
+ * @returns {{first: number, end: number}|null} The cycle, or null if the counter has no end.
+ */
+function getCounterCycle(counter) {
+    const { lower, upper } = getCounterBounds(counter);
+    if (counter.mode === 'down') {
+        return upper !== null && upper > lower ? { first: upper, end: lower } : null;
+    }
+    if (counter.wrap && upper !== null) return upper > lower ? { first: lower, end: upper + 1 } : null;
+    return counter.target > lower ? { first: lower, end: counter.target } : null;
+}
+
+/**
+ * The last value a counter shows before the end of its cycle, given its step.
+ * @param {object} counter - A counter with a cycle.
+ * @returns {number} The last value in the cycle.
+ */
+function getLastInCycle(counter) {
+    const { first, end } = getCounterCycle(counter);
+    const step = counter.step || 1;
+    const steps = Math.floor((Math.abs(end - first) - 1) / step);
+    return counter.mode === 'down' ? first - steps * step : first + steps * step;
+}
+
+/**
+ * How many taps take a counter through one cycle, e.g. 12 for a 0–12 target at +1.
+ * @param {object} counter - A counter with a cycle.
+ * @returns {number} The number of taps.
+ */
+function getTapsPerCycle(counter) {
+    const { first, end } = getCounterCycle(counter);
+    return Math.ceil(Math.abs(end - first) / (counter.step || 1));
+}
+
+/**
+ * How many taps are left until a counter reaches its target, or the floor of a countdown.
+ * @param {object} counter - The counter.
+ * @returns {number|null} The taps left, or null when there is no goal or it has been reached.
+ */
+function getRemainingSteps(counter) {
+    const step = counter.step || 1;
+    const distance = counter.mode === 'down'
+        ? (counter.start !== null ? counter.value - getCounterBounds(counter).lower : 0)
+        : (counter.target ? counter.target - counter.value : 0);
+    return distance > 0 ? Math.ceil(distance / step) : null;
+}
+
+/**
+ * Finds the milestones of a counter passed by a step from previous to reached.
+ * "Every N" counts from the counter's start value, so it also works for countdowns.
+ * @param {object} counter - The counter that moved.
+ * @param {number} previous - Its value before the step.
+ * @param {number} reached - The value the step reached, before any rollover.
+ * @returns {Array<{counterName: string, title: string, message: string}>} An alert for each milestone passed.
+ */
+function checkMilestones(counter, previous, reached) {
+    const passes = (value) => counter.mode === 'down'
+        ? previous > value && value >= reached
+        : previous < value && value <= reached;
+    const progress = (value) => Math.abs(value - getStartValue(counter));
+    const alerts = [];
+
+    counter.milestones.forEach(milestone => {
+        let title = null;
+        if (milestone.kind === 'target') {
+            const goal = counter.mode === 'down' ? getCounterBounds(counter).lower : counter.target;
+            if (goal !== null && passes(goal)) title = `Reached ${goal}${counter.mode === 'down' ? '' : ' (target)'}`;
+        } else if (milestone.kind === 'every') {
+            const times = Math.floor(progress(reached) / milestone.value);
+            if (times > Math.floor(progress(previous) / milestone.value)) {
+                title = counter.mode === 'down' ? `${times * milestone.value} done` : `Reached ${getStartValue(counter) + times * milestone.value}`;
+            }
+        } else if (passes(milestone.value)) {
+            title = `Reached ${milestone.value}`;
+        }
+        if (title) alerts.push({ counterName: counter.name, title, message: milestone.message });
+    });
+    return alerts;
+}
+
+/**
+ * Measures the working time between consecutive taps of one counter, most recent last.
+ * Breaks anywhere in the project are taken out, so time spent away with the timer running
+ * doesn't count, while time spent tapping other counters (e.g. stitches within a row) does.
+ * @param {Array<{counterId: string, timestamp: number}>} history - The project's increment history.
+ * @param {string} counterId - The ID of the counter.
+ * @returns {number[]} Up to PACE_WINDOW gaps in ms.
+ */
+function getWorkingGaps(history, counterId) {
+    const times = [...new Set(history.map(h => h.timestamp))].sort((a, b) => a - b);
+    if (times.length < 2) return [];
+    const projectGaps = times.slice(1).map((time, i) => time - times[i]);
+    const idleAfter = Math.max(PACE_IDLE_MIN_MS, median(projectGaps.slice(-PACE_WINDOW * 5)) * PACE_IDLE_FACTOR);
+
+    // Working time elapsed since the first tap, at each tap time
+    const workedAt = new Map([[times[0], 0]]);
+    let worked = 0;
+    projectGaps.forEach((gap, i) => {
+        if (gap <= idleAfter) worked += gap;
+        workedAt.set(times[i + 1], worked);
+    });
+
+    const tapTimes = history.filter(h => h.counterId === counterId).map(h => h.timestamp).sort((a, b) => a - b);
+    return tapTimes.slice(1)
+        .map((time, i) => workedAt.get(time) - workedAt.get(tapTimes[i]))
+        .filter(gap => gap > 0) // Gaps that were all break, or taps in the same instant
+        .slice(-PACE_WINDOW);
+}
+
+/**
+ * The middle of a list of numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {number} The median, or 0 for an empty list.
+ */
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Formats a duration as a clock, e.g. "01:05:09".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} Hours, minutes and seconds.
+ */
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a duration compactly, e.g. "2h 15m" or "45m".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} Hours and minutes.
+ */
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Returns the local calendar day of a timestamp.
+ * @param {number} timestamp - The time in ms.
+ * @returns {string} The day as "YYYY-MM-DD".
+ */
+function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Creates an engine that works on one project at a time. Each operation changes the
+ * project in place and then notifies subscribers, who save and display it:
+ *  - 'change' after an operation changed the project. The event names the `action`
+ *    ('increment', 'decrement', 'reset', 'add-sub-counter', 'delete-sub-counter',
+ *    'restore-sub-counter', 'pause' or 'resume'), and the `counterId` and reached
+ *    `milestones` where they apply.
+ *  - 'tick' each time tick() adds running time, with the `elapsedMs` added.
+ *  - 'load' when load() switches to another project.
+ * Operations that would change nothing (e.g. a tap at a counter's bound) emit nothing.
+ * @param {object|null} [project] - The project to start with: a new default project if
+ *     omitted, or null to load one later.
+ * @param {object} [options]
+ * @param {function(): number} [options.now] - The clock, in ms. Defaults to Date.now.
+ * @returns {object} The engine.
+ */
+function createProjectEngine(project = createDefaultProject(), { now = () => Date.now() } = {}) {
+    // The work session being recorded, if any. It is also an entry of project.sessions.
+    let session = null;
+    // Subscribers, by event type.
+    const listeners = new Map();
+
+    function emit(type, detail = {}) {
+        (listeners.get(type) || []).forEach(listener => listener({ type, ...detail }));
+    }
+
+    function findCounter(counterId) {
+        if (!project) return null;
+        if (counterId === 'main') return project.mainCounter;
+        return project.subCounters.find(c => c.id === counterId) || null;
+    }
+
+    // Returns the counter a linked counter rolls over into, or null if it has no
+    // parent or no cycle end to roll over at.
+    function findParentCounter(counter) {
+        if (!counter.parentId || !getCounterCycle(counter)) return null;
+        return findCounter(counter.parentId);
+    }
+
+    // Whether a counter rolls over into the given ancestor, directly or through other counters.
+    function isDescendantOf(counter, ancestorId) {
+        const seen = new Set();
+        let current = counter;
+        while (current && current.parentId && !seen.has(current.id)) {
+            if (current.parentId === ancestorId) return true;
+            seen.add(current.id);
+            current = findCounter(current.parentId);
+        }
+        return false;
+    }
+
+    // Moves a counter one step forwards: up by its step, or down for a countdown. A counter
+    // that reaches the end of its cycle (see getCounterCycle) starts over if it wraps or is
+    // linked, and a linked counter then advances its parent, which may in turn roll over.
+    // Counters stopped at a bound don't move, and the tap isn't recorded. Milestones passed
+    // on the way are added to the given list. Returns whether the counter moved.
+    function advanceCounter(counter, milestones) {
+        const cycle = getCounterCycle(counter);
+        const parent = findParentCounter(counter);
+        const previous = counter.value;
+        const next = counter.value + getSignedStep(counter);
+        const finished = !!cycle && (counter.mode === 'down' ? next <= cycle.end : next >= cycle.end);
+
+        if (finished && (parent || counter.wrap)) {
+            counter.value = cycle.first;
+        } else {
+            const clamped = clampCounterValue(counter, next);
+            if (clamped === counter.value) return false;
+            counter.value = clamped;
+        }
+        project.incrementHistory.push({ counterId: counter.id, timestamp: now() });
+        recordSessionIncrement(counter.id, 1);
+        // A counter that starts over still reached the end of its cycle first
+        milestones.push(...checkMilestones(counter, previous, finished ? next : counter.value));
+
+        if (finished && parent) advanceCounter(parent, milestones);
+        return true;
+    }
+
+    // Moves a counter one step back. A counter at the start of its cycle rolls back instead:
+    // it returns to the last value before the end and rewinds its parent, as long as the parent can go back.
+    function rewindCounter(counter) {
+        if (!canRewind(counter)) return;
+        const previous = clampCounterValue(counter, counter.value - getSignedStep(counter));
+        if (previous !== counter.value) {
+            counter.value = previous;
+        } else {
+            counter.value = getLastInCycle(counter);
+            const parent = findParentCounter(counter);
+            if (parent) rewindCounter(parent);
+        }
+        recordSessionIncrement(counter.id, -1);
+
+        // Treat a decrement as an undo for ETA calculation: remove the most recent increment record for this counter
+        const history = project.incrementHistory;
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].counterId === counter.id) {
+                history.splice(i, 1);
+                break;
+            }
+        }
+    }
+
+    // Whether a counter can be decremented, either directly, by wrapping around, or by
+    // rolling back into its own parent.
+    function canRewind(counter) {
+        if (clampCounterValue(counter, counter.value - getSignedStep(counter)) !== counter.value) return true;
+        const cycle = getCounterCycle(counter);
+        if (!cycle || counter.value !== cycle.first) return false;
+        const parent = findParentCounter(counter);
+        return parent ? canRewind(parent) : counter.wrap;
+    }
+
+    // Adds running time to the current work session, starting a new one if there is none
+    // or the timer has been silent for too long (e.g. the device slept).
+    function trackSession(time, elapsedMs) {
+        if (!project.sessions) project.sessions = [];
+
+        if (!session || time - session.end > SESSION_GAP_MS) {
+            endSession();
+            session = { start: time - elapsedMs, end: time, durationMs: 0, increments: {} };
+            project.sessions.push(session);
+        }
+        session.durationMs += elapsedMs;
+        session.end = time;
+    }
+
+    // Counts a counter change towards the current session. Decrements subtract, so the
+    // session records net progress.
+    function recordSessionIncrement(counterId, delta) {
+        if (!session) return;
+        const count = (session.increments[counterId] || 0) + delta;
+        if (count === 0) {
+            delete session.increments[counterId];
+        } else {
+            session.increments[counterId] = count;
+        }
+        session.end = now();
+    }
+
+    // Closes the current session. Sessions under a minute with no progress are dropped
+    // so opening a project briefly doesn't clutter the log.
+    function endSession() {
+        if (!session) return;
+        const sessions = project?.sessions;
+        const isEmpty = Object.keys(session.increments).length === 0;
+        if (sessions && isEmpty && session.durationMs < 60000) {
+            const index = sessions.indexOf(session);
+            if (index !== -1) sessions.splice(index, 1);
+        }
+        session = null;
+    }
+
+    // Estimates a counter's time per tap as { mean, sd, samples } in ms, or null without data.
+    // A counter mostly advanced by others rolling into it (like rows by a stitch counter) is
+    // rarely tapped in a row, so the best-measured child's pace times its taps per cycle is
+    // used when that rests on more data.
+    function estimatePace(counter, history, seen = new Set()) {
+        seen.add(counter.id);
+        const gaps = getWorkingGaps(history, counter.id);
+        let pace = null;
+        if (gaps.length > 0) {
+            const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+            // A single gap says nothing about the spread, so assume a wide one.
+            const sd = gaps.length > 1
+                ? Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / (gaps.length - 1))
+                : mean;
+            pace = { mean, sd, samples: gaps.length };
+        }
+        if (pace && pace.samples >= PACE_MIN_SAMPLES) return pace;
+
+        [project.mainCounter, ...project.subCounters]
+            .filter(child => child.parentId === counter.id && !seen.has(child.id) && findParentCounter(child))
+            .forEach(child => {
+                const childPace = estimatePace(child, history, seen);
+                const taps = getTapsPerCycle(child);
+                if (!childPace) return;
+                // A cycle is the sum of its taps: means add up, spreads by the square root.
+                const derived = { mean: childPace.mean * taps, sd: childPace.sd * Math.sqrt(taps), samples: childPace.samples / taps };
+                if (!pace || derived.samples > pace.samples) pace = derived;
+            });
+        return pace;
+    }
+
+    function changed(action, detail = {}) {
+        project.lastModified = now();
+        emit('change', { action, ...detail });
+    }
+
+    return {
+        /** The project being worked on, or null. */
+        get project() {
+            return project;
+        },
+
+        /** The work session being recorded, or null while the timer is paused. */
+        get session() {
+            return session;
+        },
+
+        /**
+         * Subscribes to an event: 'change', 'tick' or 'load'.
+         * @param {string} type - The event type.
+         * @param {function(object): void} listener - Called with the event.
+         * @returns {function(): void} A function that unsubscribes the listener.
+         */
+        on(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(listener);
+            return () => listeners.get(type).delete(listener);
+        },
+
+        /**
+         * Switches to another project, closing the current work session.
+         * @param {object} nextProject - The project to work on.
+         */
+        load(nextProject) {
+            endSession();
+            project = nextProject;
+            if (project.timer && !project.timer.isPaused) {
+                project.timer.lastTick = now();
+            }
+            emit('load', { project });
+        },
+
+        /**
+         * Swaps in another version of the current project (e.g. from undo or a merge), keeping
+         * the work session being recorded. The new version must share the project's sessions.
+         * Emits nothing; the caller saves and displays the result.
+         * @param {object} nextProject - The new version of the project.
+         */
+        replace(nextProject) {
+            project = nextProject;
+        },
+
+        /**
+         * Finds a counter of the project.
+         * @param {string} counterId - 'main' or a sub-counter ID.
+         * @returns {object|null} The counter, or null if there is none with that ID.
+         */
+        findCounter,
+
+        /**
+         * Finds the counter a linked counter rolls over into.
+         * @param {object} counter - The counter.
+         * @returns {object|null} The parent, or null if it has none or no cycle end to roll over at.
+         */
+        findParentCounter,
+
+        /**
+         * Whether a counter rolls over into the given ancestor, directly or through other counters.
+         * @param {object} counter - The counter.
+         * @param {string} ancestorId - The ID of the possible ancestor.
+         * @returns {boolean}
+         */
+        isDescendantOf,
+
+        /**
+         * Moves a counter one step forwards, rolling over into linked counters as needed.
+         * @param {string} counterId - The ID of the counter.
+         * @returns {Array<object>} The milestones reached, as from checkMilestones().
+         */
+        increment(counterId) {
+            const counter = findCounter(counterId);
+            const milestones = [];
+            if (counter && advanceCounter(counter, milestones)) {
+                changed('increment', { counterId, milestones });
+            }
+            return milestones;
+        },
+
+        /**
+         * Moves a counter one step back, rolling back linked counters as needed.
+         * @param {string} counterId - The ID of the counter.
+         * @returns {boolean} Whether the counter moved.
+         */
+        decrement(counterId) {
+            const counter = findCounter(counterId);
+            if (!counter || !canRewind(counter)) return false;
+            rewindCounter(counter);
+            changed('decrement', { counterId });
+            return true;
+        },
+
+        /**
+         * Returns a counter to its start value and clears its increment history.
+         * @param {string} counterId - The ID of the counter.
+         */
+        reset(counterId) {
+            const counter = findCounter(counterId);
+            if (!counter) return;
+            counter.value = getStartValue(counter);
+            // Remove all increment history entries for this counter to keep ETA accurate after a reset
+            project.incrementHistory = project.incrementHistory.filter(h => h.counterId !== counterId);
+            changed('reset', { counterId });
+        },
+
+        /**
+         * Adds a sub-counter after the others.
+         * @param {object} [fields] - Fields to set instead of the defaults, see createSubCounter().
+         * @returns {object} The new counter.
+         */
+        addSubCounter(fields = {}) {
+            const counter = createSubCounter(fields);
+            project.subCounters.push(counter);
+            changed('add-sub-counter', { counterId: counter.id });
+            return counter;
+        },
+
+        /**
+         * Deletes a sub-counter, keeping it in the project's deleted counters so it can be
+         * restored. Counters that rolled into it are unlinked, and its history is set aside.
+         * @param {string} counterId - The ID of the sub-counter.
+         * @returns {boolean} Whether there was a sub-counter with that ID.
+         */
+        deleteSubCounter(counterId) {
+            const index = project.subCounters.findIndex(c => c.id === counterId);
+            if (index === -1) return false;
+            const [counter] = project.subCounters.splice(index, 1);
+            const children = project.subCounters.filter(c => c.parentId === counterId);
+            children.forEach(c => c.parentId = null);
+            const history = project.incrementHistory.filter(h => h.counterId === counterId);
+            project.incrementHistory = project.incrementHistory.filter(h => h.counterId !== counterId);
+            project.deletedCounters.unshift({ counter, index, children: children.map(c => c.id), history, deletedAt: now() });
+            changed('delete-sub-counter', { counterId });
+            return true;
+        },
+
+        /**
+         * Puts a deleted sub-counter back where it was, with its history and the links from
+         * counters that rolled into it, unless they have been linked elsewhere since.
+         * @param {string} counterId - The ID of the deleted sub-counter.
+         * @returns {object|null} The restored counter, or null if it was not among the deleted ones.
+         */
+        restoreSubCounter(counterId) {
+            const entry = project.deletedCounters.find(d => d.counter.id === counterId);
+            if (!entry) return null;
+            const { counter } = entry;
+            project.deletedCounters = project.deletedCounters.filter(d => d !== entry);
+            project.subCounters.splice(Math.min(entry.index, project.subCounters.length), 0, counter);
+            project.subCounters.forEach(c => {
+                if (entry.children.includes(c.id) && !c.parentId) c.parentId = counter.id;
+            });
+            const parent = counter.parentId && findCounter(counter.parentId);
+            if (!parent || isDescendantOf(parent, counter.id)) counter.parentId = null;
+            project.incrementHistory = [...project.incrementHistory, ...entry.history].sort((a, b) => a.timestamp - b.timestamp);
+            changed('restore-sub-counter', { counterId });
+            return counter;
+        },
+
+        /**
+         * Adds the time since the last tick to a running timer and the current work session.
+         * Call it regularly, e.g. every second.
+         * @returns {number} The ms added, 0 while paused.
+         */
+        tick() {
+            const timer = project?.timer;
+            if (!timer || timer.isPaused) return 0;
+            const time = now();
+            const elapsedMs = time - (timer.lastTick || time);
+            timer.totalElapsedMs += elapsedMs;
+            timer.lastTick = time;
+            trackSession(time, elapsedMs);
+            emit('tick', { elapsedMs });
+            return elapsedMs;
+        },
+
+        /**
+         * Pauses or resumes the timer. Pausing closes the current work session.
+         * @param {boolean} paused - Whether the timer should be paused.
+         */
+        setPaused(paused) {
+            const timer = project.timer;
+            if (timer.isPaused === paused) return;
+            timer.isPaused = paused;
+            if (paused) {
+                endSession();
+            } else {
+                timer.lastTick = now();
+            }
+            changed(paused ? 'pause' : 'resume');
+        },
+
+        /**
+         * Closes the current work session, if any.
+         */
+        endSession,
+
+        /**
+         * Estimates when a counter will reach its target (or the end of a countdown), from its pace.
+         * @param {string} counterId - The ID of the counter.
+         * @returns {{etaMs: number, lowMs: number, highMs: number, finishAt: number, rough: boolean}|null}
+         *     The estimate, or null without a goal or enough data.
+         */
+        estimateFinish(counterId) {
+            const counter = findCounter(counterId);
+            const remaining = counter && getRemainingSteps(counter);
+            if (!remaining) return null;
+
+            const pace = estimatePace(counter, project.incrementHistory);
+            if (!pace) return null;
+
+            const etaMs = remaining * pace.mean;
+            // The spread covers both the variation between taps and the uncertainty in the pace itself.
+            const spread = PACE_RANGE_Z * pace.sd * Math.sqrt(remaining + remaining * remaining / pace.samples);
+            return {
+                etaMs,
+                lowMs: Math.max(0, etaMs - spread),
+                highMs: etaMs + spread,
+                finishAt: now() + etaMs,
+                rough: pace.samples < PACE_MIN_SAMPLES,
+            };
+        },
+
+        /**
+         * Formats a counter's estimated finish, e.g. "ETA: ~45m (35m–55m) · done about 14:20".
+         * @param {string} counterId - The ID of the counter.
+         * @returns {string|null} The ETA, or null when there is no estimate.
+         */
+        calculateETA(counterId) {
+            const finish = this.estimateFinish(counterId);
+            if (!finish) return null;
+
+            const eta = finish.etaMs < 60000 ? '< 1m' : `~${formatDuration(finish.etaMs)}`;
+            const range = finish.highMs - finish.lowMs >= 60000
+                ? ` (${formatDuration(finish.lowMs)}–${formatDuration(finish.highMs)})`
+                : '';
+            const finishDate = new Date(finish.finishAt);
+            const clock = finishDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const day = toDayKey(finish.finishAt) === toDayKey(now())
+                ? ''
+                : `${finishDate.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })} `;
+            return `${finish.rough ? 'Rough ETA' : 'ETA'}: ${eta}${range} · done about ${day}${clock}`;
+        },
+    };
+}
+
+/**
+ * Brings a project record up to the current schema version by running each
+ * pending upgrade in order. Records from a newer version of the app are
+ * returned unchanged.
+ * @param {object} project - A project record as stored or imported.
+ * @returns {object} The upgraded project record.
+ */
+function upgradeProject(project) {
+    let version = project.schemaVersion || 0;
+    while (version < PROJECT_SCHEMA_VERSION) {
+        version++;
+        PROJECT_UPGRADES[version](project);
+        project.schemaVersion = version;
+    }
+    return project;
+}
+
+// Under Node, export the engine as a module. In the page, the declarations above are globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_STATUSES,
+        PROJECT_SCHEMA_VERSION,
+        SESSION_GAP_MS,
+        createProjectEngine,
+        createDefaultProject,
+        createDefaultMaterials,
+        createDefaultCounterType,
+        createSubCounter,
+        upgradeProject,
+        getSignedStep,
+        getCounterBounds,
+        clampCounterValue,
+        getStartValue,
+        getCounterCycle,
+        getLastInCycle,
+        getTapsPerCycle,
+        getRemainingSteps,
+        checkMilestones,
+        getWorkingGaps,
+        median,
+        formatTime,
+        formatDuration,
+        toDayKey,
+    };
+}
@@ -0,0 +1,111 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProjectEngine, getStartValue } = require('./engine.js');
+
+// An engine with a clock that only moves when the test says so.
+function createTestEngine() {
+    const clock = { time: Date.UTC(2024, 0, 1, 12) };
+    const engine = createProjectEngine(undefined, { now: () => clock.time });
+    return { engine, clock, main: engine.project.mainCounter };
+}
+
+test('increment and decrement move a counter and emit changes', () => {
+    const { engine, main } = createTestEngine();
+    const actions = [];
+    engine.on('change', event => actions.push(event.action));
+
+    engine.increment('main');
+    engine.increment('main');
+    assert.strictEqual(main.value, 2);
+    assert.strictEqual(engine.decrement('main'), true);
+    assert.strictEqual(main.value, 1);
+    assert.deepStrictEqual(actions, ['increment', 'increment', 'decrement']);
+    assert.strictEqual(engine.project.incrementHistory.length, 1);
+});
+
+test('decrement at the floor changes nothing', () => {
+    const { engine, main } = createTestEngine();
+    let changes = 0;
+    engine.on('change', () => changes++);
+
+    assert.strictEqual(engine.decrement('main'), false);
+    assert.strictEqual(main.value, 0);
+    assert.strictEqual(changes, 0);
+});
+
+test('a linked counter rolls over into its parent and back', () => {
+    const { engine, main } = createTestEngine();
+    const stitches = engine.addSubCounter({ target: 4, parentId: 'main' });
+
+    for (let i = 0; i < 4; i++) engine.increment(stitches.id);
+    assert.strictEqual(stitches.value, 0);
+    assert.strictEqual(main.value, 1);
+
+    engine.decrement(stitches.id);
+    assert.strictEqual(stitches.value, 3);
+    assert.strictEqual(main.value, 0);
+});
+
+test('a countdown starts at its start value and stops at the floor', () => {
+    const { engine, main } = createTestEngine();
+    Object.assign(main, { mode: 'down', start: 3 });
+    main.value = getStartValue(main);
+    assert.strictEqual(main.value, 3);
+
+    for (let i = 0; i < 5; i++) engine.increment('main');
+    assert.strictEqual(main.value, 0);
+    assert.strictEqual(engine.project.incrementHistory.length, 3);
+});
+
+test('the step size sets how far a tap moves', () => {
+    const { engine, main } = createTestEngine();
+    main.step = 2;
+
+    engine.increment('main');
+    engine.increment('main');
+    assert.strictEqual(main.value, 4);
+    engine.decrement('main');
+    assert.strictEqual(main.value, 2);
+});
+
+test('milestones are reported as they are reached', () => {
+    const { engine, main } = createTestEngine();
+    main.target = 3;
+    main.milestones = [
+        { id: 'm1', kind: 'every', value: 2, message: 'Change colour' },
+        { id: 'm2', kind: 'target', value: null, message: '' },
+    ];
+
+    assert.deepStrictEqual(engine.increment('main'), []);
+    assert.deepStrictEqual(engine.increment('main').map(m => [m.title, m.message]), [['Reached 2', 'Change colour']]);
+    assert.deepStrictEqual(engine.increment('main').map(m => m.title), ['Reached 3 (target)']);
+});
+
+test('the time estimate follows the pace of recent taps', () => {
+    const { engine, clock } = createTestEngine();
+    engine.project.mainCounter.target = 10;
+    assert.strictEqual(engine.estimateFinish('main'), null);
+
+    for (let i = 0; i < 5; i++) {
+        engine.increment('main');
+        clock.time += 60 * 1000;
+    }
+    const finish = engine.estimateFinish('main');
+    assert.strictEqual(finish.etaMs, 5 * 60 * 1000);
+    assert.strictEqual(finish.finishAt, clock.time + finish.etaMs);
+    assert.strictEqual(finish.rough, false);
+    assert.match(engine.calculateETA('main'), /^ETA: ~5m · done about /);
+});
+
+test('sub-counters created in a loop get unique IDs', () => {
+    const { engine } = createTestEngine();
+    const counters = [];
+    for (let i = 0; i < 50; i++) counters.push(engine.addSubCounter());
+
+    const ids = new Set(counters.map(c => c.id));
+    assert.strictEqual(ids.size, counters.length);
+
+    engine.increment(counters[0].id);
+    assert.deepStrictEqual(engine.project.subCounters.map(c => c.value), [1, ...Array(49).fill(0)]);
+});
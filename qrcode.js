@@ -0,0 +1,388 @@
+// qrcode.js: Minimal, dependency-free QR code generator used to share projects offline.
+// Encodes text in byte mode at the smallest version that fits and renders it as SVG.
+
+const QRCode = (() => {
+
+    // Error correction levels with their format-information bits.
+    const ECC_LEVELS = {
+        L: { index: 0, formatBits: 1 },
+        M: { index: 1, formatBits: 0 },
+    };
+
+    // Error correction codewords per block, indexed by [level][version].
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    ];
+
+    // Number of error correction blocks, indexed by [level][version].
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    ];
+
+    const MIN_VERSION = 1;
+    const MAX_VERSION = 40;
+
+    /**
+     * Encodes text as a QR code, picking the smallest version that fits.
+     * Medium error correction is preferred; low is used only when the data is too long for it.
+     * @param {string} text - The text to encode (as UTF-8).
+     * @returns {{ size: number, modules: boolean[][] }} The module grid, indexed [y][x]; true is dark.
+     * @throws {Error} If the text is too long for any QR code.
+     */
+    function encode(text) {
+        const data = Array.from(new TextEncoder().encode(text));
+
+        for (const level of [ECC_LEVELS.M, ECC_LEVELS.L]) {
+            for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+                const capacityBits = getNumDataCodewords(version, level) * 8;
+                const countBits = version <= 9 ? 8 : 16;
+                if (4 + countBits + data.length * 8 <= capacityBits) {
+                    return buildSymbol(data, version, level);
+                }
+            }
+        }
+        throw new Error('Data too long for a QR code.');
+    }
+
+    /**
+     * Renders text as a QR code SVG string with a quiet zone around it.
+     * @param {string} text - The text to encode.
+     * @param {object} [options]
+     * @param {string} [options.dark='#000'] - Colour of dark modules.
+     * @param {string} [options.light='#fff'] - Background colour.
+     * @returns {string} SVG markup that scales to its container.
+     */
+    function toSVG(text, { dark = '#000', light = '#fff' } = {}) {
+        const { size, modules } = encode(text);
+        const border = 4;
+        const path = [];
+        modules.forEach((row, y) => row.forEach((isDark, x) => {
+            if (isDark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+        }));
+        const total = size + border * 2;
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges" role="img" aria-label="QR code">`
+            + `<rect width="100%" height="100%" fill="${light}"/><path d="${path.join('')}" fill="${dark}"/></svg>`;
+    }
+
+    // --- Symbol construction --- //
+
+    function buildSymbol(data, version, level) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => Array(size).fill(false));
+        const setFunction = (x, y, isDark) => {
+            modules[y][x] = isDark;
+            isFunction[y][x] = true;
+        };
+
+        drawFunctionPatterns(size, version, setFunction);
+        drawFormatBits(size, level, 0, setFunction); // Reserve the format areas before placing data
+
+        const codewords = addEccAndInterleave(createDataCodewords(data, version, level), version, level);
+        drawCodewords(size, codewords, modules, isFunction);
+
+        // Try every mask and keep the one with the lowest penalty.
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(size, mask, modules, isFunction);
+            drawFormatBits(size, level, mask, setFunction);
+            const penalty = getPenaltyScore(size, modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(size, mask, modules, isFunction); // Masks are XORs, so applying again undoes it
+        }
+        applyMask(size, bestMask, modules, isFunction);
+        drawFormatBits(size, level, bestMask, setFunction);
+
+        return { size, modules };
+    }
+
+    function drawFunctionPatterns(size, version, setFunction) {
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, skipping the three that would overlap finder patterns
+        const positions = getAlignmentPatternPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Version information (versions 7 and up)
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const isDark = getBit(bits, i);
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                setFunction(a, b, isDark);
+                setFunction(b, a, isDark);
+            }
+        }
+    }
+
+    function getAlignmentPatternPositions(version, size) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let pos = size - 7; positions.length < count; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        return positions;
+    }
+
+    function drawFormatBits(size, level, mask, setFunction) {
+        const data = (level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+        setFunction(8, 7, getBit(bits, 6));
+        setFunction(8, 8, getBit(bits, 7));
+        setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+        setFunction(8, size - 8, true); // Always-dark module
+    }
+
+    // --- Data encoding --- //
+
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8)
+            - ECC_CODEWORDS_PER_BLOCK[level.index][version] * NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+    }
+
+    // Builds the byte-mode bit stream, then pads it to the version's data capacity.
+    function createDataCodewords(data, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4); // Byte mode
+        append(data.length, version <= 9 ? 8 : 16);
+        data.forEach(byte => append(byte, 8));
+
+        const capacityBits = getNumDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacityBits - bits.length)); // Terminator
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // Splits data into blocks, appends Reed-Solomon error correction to each, and interleaves them.
+    function addEccAndInterleave(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = reedSolomonComputeDivisor(blockEccLength);
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            const ecc = reedSolomonComputeRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Placeholder so all blocks line up
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the placeholder byte of short blocks
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    function reedSolomonComputeDivisor(degree) {
+        const result = Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonComputeRemainder(data, divisor) {
+        const result = Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= reedSolomonMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+    function reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // Places codewords in the zigzag order, two columns at a time from the bottom-right.
+    function drawCodewords(size, codewords, modules, isFunction) {
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // --- Masking --- //
+
+    const MASK_PATTERNS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+    ];
+
+    function applyMask(size, mask, modules, isFunction) {
+        const pattern = MASK_PATTERNS[mask];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && pattern(x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    // Scores a symbol by the standard's four penalty rules; lower is easier to scan.
+    function getPenaltyScore(size, modules) {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Rule 1: runs of five or more same-coloured modules
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+            // Rule 3: finder-like 1:1:3:1:1 patterns with four light modules on either side
+            const text = line.map(isDark => (isDark ? '1' : '0')).join('');
+            for (const pattern of ['10111010000', '00001011101']) {
+                for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        // Rule 2: 2x2 blocks of the same colour
+        let darkCount = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) darkCount++;
+                if (x < size - 1 && y < size - 1) {
+                    const colour = modules[y][x];
+                    if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        // Rule 4: overall balance of dark and light modules
+        const total = size * size;
+        const k = Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1;
+        penalty += Math.max(0, k) * 10;
+
+        return penalty;
+    }
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    return { encode, toSVG };
+})();
@@ -1,31 +1,51 @@
 // service-worker.js
 
-const CACHE_NAME = 'crochet-counter-cache-v2';
+const CACHE_NAME = 'crochet-counter-cache-v6';
+// Every file the app loads, so it works fully offline once installed.
 const URLS_TO_CACHE = [
   '/',
   '/index.html',
+  '/tailwind.css',
   '/style.css',
   '/app.js',
   '/db.js',
+  '/engine.js',
+  '/qrcode.js',
   '/manifest.json',
-  '/icons/icon-192x192.png',
-  '/icons/icon-512x512.png',
-  'https://cdn.tailwindcss.com'
+  '/icons/favicon.ico',
+  '/icons/apple-touch-icon.png',
+  '/icons/icon-192.png',
+  '/icons/icon-192-maskable.png',
+  '/icons/icon-512.png',
+  '/icons/icon-512-maskable.png'
 ];
 
-// Install event: cache all core assets.
+// Install event: cache all core assets. If any fail, the open pages are told which, and
+// installation fails so the browser tries again on the next visit.
+// The new worker then waits, rather than taking over a page mid-project, until the page
+// sends 'skip-waiting' (when the user taps Reload in the update banner).
 self.addEventListener('install', event => {
-  self.skipWaiting();
-  
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(URLS_TO_CACHE);
-      })
+    caches.open(CACHE_NAME).then(async cache => {
+      // Bypass the HTTP cache, so the new worker gets the new files rather than stale copies.
+      const results = await Promise.allSettled(URLS_TO_CACHE.map(url => cache.add(new Request(url, { cache: 'reload' }))));
+      const failed = URLS_TO_CACHE.filter((url, i) => results[i].status === 'rejected');
+      if (failed.length > 0) {
+        const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windowClients.forEach(client => client.postMessage({ type: 'precache-failed', failed }));
+        throw new Error(`Failed to cache: ${failed.join(', ')}`);
+      }
+    })
   );
 });
 
+// Message event: the page asks a waiting worker to take over.
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
 // Activate event: clean up old caches.
 self.addEventListener('activate', event => {
   const cacheWhitelist = [CACHE_NAME];
@@ -42,28 +62,38 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event: serve from cache first, then network.
+// Fetch event: app files come only from this worker's own cache, so a page keeps running the
+// version it was installed with, even across reloads, until the user accepts an update. They are
+// never refreshed in place; a new worker downloads the new versions into its own cache instead.
+// Anything that isn't precached goes to the network.
 self.addEventListener('fetch', event => {
+  if (event.request.method !== 'GET') return;
+  const isNavigation = event.request.mode === 'navigate';
   event.respondWith(
-    caches.match(event.request).then(cachedResponse => {
-      const fetchPromise = fetch(event.request).then(networkResponse => {
-        // Only cache valid GET responses
-        if (
-          networkResponse &&
-          networkResponse.status === 200 &&
-          (networkResponse.type === 'basic' || networkResponse.type === 'cors') &&
-          event.request.method === 'GET'
-        ) {
-          const responseToCache = networkResponse.clone();
-          caches.open(CACHE_NAME).then(cache => {
-            cache.put(event.request, responseToCache);
-          });
-        }
-        return networkResponse;
-      }).catch(() => cachedResponse); // fallback to cache if network fails
+    caches.open(CACHE_NAME).then(async cache => {
+      const cachedResponse = await cache.match(event.request, { ignoreSearch: isNavigation });
+      if (cachedResponse) return cachedResponse;
+      try {
+        return await fetch(event.request);
+      } catch (error) {
+        // Offline, any page of the app (e.g. the installed start URL) opens the app itself.
+        const page = isNavigation && await cache.match('/index.html');
+        if (page) return page;
+        throw error;
+      }
+    })
+  );
+});
 
-      // Return cached response immediately, update cache in background
-      return cachedResponse || fetchPromise;
+// Notification click: bring the app to the front, opening it if it isn't running.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+      if (windowClients.length > 0) {
+        return windowClients[0].focus();
+      }
+      return clients.openWindow('/');
     })
   );
-});
\ No newline at end of file
+});
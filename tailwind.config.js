@@ -0,0 +1,6 @@
+// Tailwind configuration for the prebuilt tailwind.css. Rebuild after adding classes:
+//   npx tailwindcss@3 -c tailwind.config.js -o tailwind.css --minify
+module.exports = {
+    content: ['./index.html', './app.js'],
+    darkMode: 'class',
+};